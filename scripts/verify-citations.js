@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// scripts/verify-citations.js
+//
+// Check an analysis bundle's citations against a PDF without opening the
+// app. Uses the same matching code as the viewer (src/phraseResolver.js).
+//
+//   node scripts/verify-citations.js <report.pdf> <bundle.json> [options]
+//
+// <bundle.json> is an analysis bundle (public/bundles/*.json) or a plain
+// JSON array of citations ({ id, phrase, pageHint?, label? }).
+//
+// Options:
+//   --format json|table   output format (default: table)
+//   --min-score <0..1>    lowest similarity accepted as a fuzzy match (0.75)
+//   --no-fuzzy            exact matches only
+//   --strict              also fail on fuzzy and wrong-page matches
+//
+// Exit status: 0 when every citation is found, 1 when any is not (or, with
+// --strict, is not an exact match on its hinted page), 2 on bad input.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { AnalysisBundleError, validateAnalysisBundle } from "../src/analysisBundle.js";
+import { CITATION_STATUS, describeStatus, verifyCitations } from "../src/citationReport.js";
+import { createPhraseResolver } from "../src/phraseResolver.js";
+
+const USAGE =
+  "Usage: verify-citations <report.pdf> <bundle.json> " +
+  "[--format json|table] [--min-score n] [--no-fuzzy] [--strict]";
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { format: "table", minScore: 0.75, fuzzy: true, strict: false, files: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--format") {
+      opts.format = argv[++i];
+      if (!["json", "table"].includes(opts.format)) {
+        throw new UsageError(`--format must be json or table, got ${opts.format}`);
+      }
+    } else if (arg === "--min-score") {
+      opts.minScore = Number(argv[++i]);
+      if (!(opts.minScore >= 0 && opts.minScore <= 1)) {
+        throw new UsageError("--min-score must be a number between 0 and 1");
+      }
+    } else if (arg === "--no-fuzzy") {
+      opts.fuzzy = false;
+    } else if (arg === "--strict") {
+      opts.strict = true;
+    } else if (arg === "-h" || arg === "--help") {
+      opts.help = true;
+    } else if (arg.startsWith("--")) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      opts.files.push(arg);
+    }
+  }
+
+  if (!opts.help && opts.files.length !== 2) throw new UsageError(USAGE);
+  return opts;
+}
+
+// A bundle, or a bare array of citations
+async function readCitations(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    throw new UsageError(`Could not read ${file}: ${e.message}`);
+  }
+
+  if (Array.isArray(data)) {
+    data = { version: 1, pdf: { url: path.basename(file) }, analysis: "", citations: data };
+  }
+  return validateAnalysisBundle(data).citations;
+}
+
+// pdf.js prints its Node warnings with console.log; keep them off stdout
+// so JSON output stays parseable. The missing-canvas ones don't apply:
+// we only extract text, never render.
+async function loadPdfjs() {
+  const log = console.log;
+  console.log = (...args) => {
+    if (!/Cannot polyfill/.test(String(args[0]))) console.error(...args);
+  };
+  try {
+    const { default: pdfjsLib } = await import("pdfjs-dist/legacy/build/pdf.js");
+    return pdfjsLib;
+  } finally {
+    console.log = log;
+  }
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Axis-aligned bounding box [x0, y0, x1, y1] of a quad, in PDF user space
+function quadBounds(q) {
+  const xs = [q.bl[0], q.br[0], q.tr[0], q.tl[0]];
+  const ys = [q.bl[1], q.br[1], q.tr[1], q.tl[1]];
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)].map(round);
+}
+
+function toResult(row) {
+  const { citation, match } = row;
+  return {
+    id: citation.id,
+    label: citation.label,
+    phrase: citation.phrase,
+    pageHint: citation.pageHint ?? null,
+    status: row.status,
+    page: row.pageNumber,
+    score: round(row.score),
+    offsets: match ? { start: match.start, end: match.end } : null,
+    boxes: match ? match.quads.map(quadBounds) : []
+  };
+}
+
+function formatTable(rows) {
+  const header = ["Ref", "Status", "Page", "Score", "Phrase"];
+  const lines = rows.map((row) => [
+    row.citation.label,
+    describeStatus(row),
+    row.pageNumber ?? "-",
+    row.match ? row.score.toFixed(2) : "-",
+    row.citation.phrase
+  ].map(String));
+
+  const widths = header.map((h, c) =>
+    c === header.length - 1 ? 0 : Math.max(h.length, ...lines.map((l) => l[c].length))
+  );
+  const fmt = (cells) => cells.map((cell, c) => cell.padEnd(widths[c])).join("  ").trimEnd();
+
+  return [fmt(header), fmt(widths.map((w) => "-".repeat(w || 6))), ...lines.map(fmt)].join("\n");
+}
+
+function failed(row, strict) {
+  if (row.status === CITATION_STATUS.NOT_FOUND) return true;
+  return strict && row.status !== CITATION_STATUS.FOUND;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const [pdfFile, citationsFile] = opts.files;
+  const citations = await readCitations(citationsFile);
+
+  let data;
+  try {
+    data = new Uint8Array(await fs.readFile(pdfFile));
+  } catch (e) {
+    throw new UsageError(`Could not read ${pdfFile}: ${e.message}`);
+  }
+
+  const pdfjsLib = await loadPdfjs();
+  let pdf;
+  try {
+    pdf = await pdfjsLib.getDocument({ data, verbosity: pdfjsLib.VerbosityLevel.ERRORS }).promise;
+  } catch (e) {
+    throw new UsageError(`Could not open ${pdfFile}: ${e.message}`);
+  }
+
+  try {
+    const resolver = createPhraseResolver(pdf);
+    const rows = await verifyCitations(citations, (c) =>
+      resolver.resolve({
+        phrase: c.phrase,
+        pageHint: c.pageHint,
+        fuzzy: opts.fuzzy,
+        minScore: opts.minScore
+      })
+    );
+
+    if (opts.format === "json") {
+      console.log(JSON.stringify({ pdf: pdfFile, results: rows.map(toResult) }, null, 2));
+    } else {
+      console.log(formatTable(rows));
+    }
+
+    return rows.some((row) => failed(row, opts.strict)) ? 1 : 0;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (e) => {
+    const bad = e instanceof UsageError || e instanceof AnalysisBundleError;
+    console.error(bad ? e.message : e);
+    process.exitCode = 2;
+  }
+);
@@ -2,166 +2,526 @@ App.jsx
 
 
 // src/App.jsx
-import React, { useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import PdfViewer from "./pdfViewer";
+import {
+  citationsById,
+  loadAnalysisBundle,
+  nextCitationId,
+  serializeAnalysisBundle
+} from "./analysisBundle";
+import { parseMarkdown, renderBlock } from "./markdown";
+import { flashSentence } from "./flashSentence";
+import { downloadFile } from "./download";
+import { verifyCitations } from "./citationReport";
+import { checkNumericClaims } from "./numericClaims";
+import CitationReportTable from "./citationReportTable";
+import QuoteEvidence from "./quoteEvidence";
+import TablePanel from "./tablePanel";
+import SelectionMenu from "./selectionMenu";
+import AnnotationList from "./annotationList";
+import {
+  deleteAnnotation,
+  loadAnnotations,
+  newAnnotationId,
+  saveAnnotation
+} from "./annotationStore";
 import "./styles.css";
 
-// Reference number -> phrase + page hint in the PDF
-const REFERENCES = {
-  1: {
-    label: "[1]",
-    pageHint: 3,
-    phrase: "EBITDA of USD 2.3"
-  },
-  2: {
-    label: "[2]",
-    pageHint: 5,
-    phrase: "higher revenue and cost management"
-  },
-  3: {
-    label: "[3]",
-    pageHint: 15,
-    phrase: "Gain on sale of non-current assets"
-  }
-};
-
-// Full analysis text for the right-hand side
-const RAW_TEXT = `
-Analysis
-No extraordinary or one-off items affecting EBITDA were reported in Maersk’s Q2 2025 results.
-The report explicitly notes that EBITDA improvements stemmed from operational performance—
-including volume growth, cost control, and margin improvement across Ocean, Logistics &
-Services, and Terminals segments [1][2]. Gains or losses from asset sales, which could qualify as
-extraordinary items, are shown separately under EBIT and not included in EBITDA. The gain on
-sale of non-current assets was USD 25 m in Q2 2025, significantly lower than USD 208 m in Q2
-2024, but these affect EBIT, not EBITDA [3]. Hence, Q2 2025 EBITDA reflects core operating
-activities without one-off extraordinary adjustments.
-
-Findings
-Page 3 — Highlights Q2 2025
-EBITDA increase (USD 2.3 bn vs USD 2.1 bn prior year) attributed to operational improvements; no
-mention of extraordinary or one-off items. [1]
-
-Page 5 — Review Q2 2025
-EBITDA rise driven by higher revenue and cost control across all segments; no extraordinary gains
-or losses included. [2]
-
-Page 15 — Condensed Income Statement
-Gain on sale of non-current assets USD 25 m (vs USD 208 m prior year) reported separately below
-EBITDA; therefore, not part of EBITDA. [3]
-
-Supporting Evidence
-[1] A.P. Moller – Maersk Q2 2025 Interim Report (7 Aug 2025) — Page 3 →
-“Maersk’s results continued to improve year-on-year … EBITDA of USD 2.3 bn (USD 2.1 bn) …
-driven by volume and other revenue growth in Ocean, margin improvements in Logistics &
-Services and significant top line growth in Terminals.”
-
-[2] A.P. Moller – Maersk Q2 2025 Interim Report (7 Aug 2025) — Page 5 →
-“EBITDA increased to USD 2.3 bn (USD 2.1 bn) … driven by higher revenue and cost management
-… Ocean’s EBITDA … slightly increased by USD 36 m … Logistics & Services contributed
-significantly with a USD 71 m increase … Terminals’ EBITDA increased by USD 50 m.”
-
-[3] A.P. Moller – Maersk Q2 2025 Interim Report (7 Aug 2025) — Page 15 →
-“Gain on sale of non-current assets, etc., net 25 (208) … Profit before depreciation, amortisation
-and impairment losses, etc. (EBITDA) 2,298.”
-`;
-
-export default function App() {
+// Colours for the "All citations" overlay, assigned in citation order
+const CITATION_COLORS = [
+  "#e53935",
+  "#1e88e5",
+  "#43a047",
+  "#fb8c00",
+  "#8e24aa",
+  "#00acc1",
+  "#c0ca33",
+  "#6d4c41"
+];
+
+// ----------------------------
+// Which analysis bundle to show
+// ----------------------------
+// ?bundle=<url> picks one; otherwise the demo bundle in public/bundles/.
+// Relative URLs resolve against the app's base path.
+function defaultBundleUrl() {
+  const base = import.meta.env.BASE_URL || "/";
+  const requested = new URLSearchParams(window.location.search).get("bundle");
+
+  if (!requested) return `${base}bundles/maersk-q2-2025.json`;
+  if (/^https?:\/\//i.test(requested)) return requested;
+  return `${base}${requested.replace(/^\/+/, "")}`;
+}
+
+export default function App({ bundleUrl = defaultBundleUrl() }) {
   const viewerRef = useRef(null);
+  const analysisRef = useRef(null);
+  const citeCursor = useRef({ key: "", next: 0 });
+  const editorRef = useRef(null);
+  const caret = useRef(null); // last cursor position in the analysis editor
+  const pendingCaret = useRef(null); // where to put it after the next render
+
+  const [bundle, setBundle] = useState(null);
+  const [bundleError, setBundleError] = useState(null);
+  const [editing, setEditing] = useState(false); // analysis shown as Markdown source
 
   const [activeRefNum, setActiveRefNum] = useState(null);
   const [searchQuery, setSearchQuery] = useState("");
   const [zoom, setZoom] = useState(0.9); // PDF zoom only
-
-  const activeRef = activeRefNum ? REFERENCES[activeRefNum] : null;
-
-  // Split analysis text into paragraphs
-  const paragraphs = useMemo(
+  const [findAll, setFindAll] = useState(false);
+  const [showAllCitations, setShowAllCitations] = useState(false);
+  const [report, setReport] = useState(null); // verification rows
+  const [figureReport, setFigureReport] = useState(null); // numeric claim rows
+  const [verifying, setVerifying] = useState(false);
+  const [refNotice, setRefNotice] = useState(null);
+  const [quoteCheck, setQuoteCheck] = useState(null); // { citation, result } for the clicked quote
+  const [citedTable, setCitedTable] = useState(null); // { citation, table } around the clicked phrase
+  const [showTable, setShowTable] = useState(false);
+  const [pdfDoc, setPdfDoc] = useState(null); // { numPages, fingerprint } once loaded
+  const [annotations, setAnnotations] = useState([]); // user highlights on this PDF
+  const [showAnnotations, setShowAnnotations] = useState(false);
+  const [activeAnnotationId, setActiveAnnotationId] = useState(null);
+  const [annotationError, setAnnotationError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [localPdf, setLocalPdf] = useState(null); // { name, data } from disk
+  const [dragging, setDragging] = useState(false);
+  const [openError, setOpenError] = useState(null);
+  const fileInputRef = useRef(null);
+  const [matchInfo, setMatchInfo] = useState({ current: 0, total: 0 });
+
+  // Load + validate the bundle
+  useEffect(() => {
+    let cancelled = false;
+
+    setBundle(null);
+    setBundleError(null);
+    setEditing(false);
+    caret.current = null;
+    setActiveRefNum(null);
+    setQuoteCheck(null);
+    setCitedTable(null);
+    setReport(null);
+
+    loadAnalysisBundle(bundleUrl)
+      .then((b) => !cancelled && setBundle(b))
+      .catch((e) => !cancelled && setBundleError(e?.message || String(e)));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bundleUrl]);
+
+  // Restore the user's highlights whenever a PDF is opened
+  const fingerprint = pdfDoc?.fingerprint || null;
+  useEffect(() => {
+    let cancelled = false;
+
+    setAnnotations([]);
+    setActiveAnnotationId(null);
+    setAnnotationError(null);
+    if (!fingerprint) return;
+
+    loadAnnotations(fingerprint)
+      .then((list) => !cancelled && setAnnotations(list))
+      .catch((e) => !cancelled && setAnnotationError(`Highlights unavailable: ${e?.message || e}`));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fingerprint]);
+
+  const references = useMemo(() => (bundle ? citationsById(bundle) : {}), [bundle]);
+
+  // Every citation with its overlay colour. Keyed on the citation list,
+  // not the bundle: editing the analysis text mustn't resolve them again.
+  const bundleCitations = bundle ? bundle.citations : null;
+  const citationColors = useMemo(() => {
+    const colors = {};
+    (bundleCitations || []).forEach((c, i) => {
+      colors[c.id] = CITATION_COLORS[i % CITATION_COLORS.length];
+    });
+    return colors;
+  }, [bundleCitations]);
+
+  const citationOverlay = useMemo(
     () =>
-      RAW_TEXT.split(/\n\s*\n/)
-        .map((p) => p.trim())
-        .filter(Boolean),
-    []
+      showAllCitations && bundleCitations
+        ? bundleCitations.map((c) => ({ ...c, color: citationColors[c.id] }))
+        : null,
+    [showAllCitations, bundleCitations, citationColors]
   );
 
-  // Filter analysis text by search box on the right
-  const visibleParagraphs = useMemo(() => {
+  // Parse the analysis Markdown into blocks
+  const blocks = useMemo(() => parseMarkdown(bundle ? bundle.analysis : ""), [bundle]);
+
+  // Filter analysis blocks by search box on the right
+  const visibleBlocks = useMemo(() => {
     const q = searchQuery.trim().toLowerCase();
-    if (!q) return paragraphs;
-    return paragraphs.filter((p) => p.toLowerCase().includes(q));
-  }, [paragraphs, searchQuery]);
+    if (!q) return blocks;
+    return blocks.filter((b) => b.raw.toLowerCase().includes(q));
+  }, [blocks, searchQuery]);
 
   // Clicking [1], [2], [3]
   const handleRefClick = async (refNum) => {
-    const refMeta = REFERENCES[refNum];
+    const refMeta = references[refNum];
     if (!refMeta) return;
 
     setActiveRefNum(refNum);
+    setRefNotice(null);
+    setQuoteCheck(null);
+    setCitedTable(null);
+
+    const viewer = viewerRef.current;
+    if (!viewer || !viewer.highlightPhrase) return;
+
+    const citations = [{ id: refNum, label: refMeta.label }];
+    const pageHint = refMeta.pageHint;
+
+    // The viewer may reject mid-way, e.g. when another PDF is opened
+    try {
+      // A citation with a full quote highlights the whole passage, unless
+      // every occurrence of the short phrase was asked for
+      let quoteResult = null;
+      if (refMeta.quote) {
+        quoteResult = findAll
+          ? await viewer.resolveQuote({ quote: refMeta.quote, pageHint })
+          : await viewer.highlightQuote({ quote: refMeta.quote, pageHint, citations });
+        if (quoteResult) setQuoteCheck({ citation: refMeta, result: quoteResult });
+      }
 
-    if (viewerRef.current && viewerRef.current.highlightPhrase) {
-      await viewerRef.current.highlightPhrase({
-        phrase: refMeta.phrase,
-        pageHint: refMeta.pageHint
-      });
+      // The phrase's match, for the table lookup below
+      let match = null;
+      if (!quoteResult || findAll) {
+        match = await viewer.highlightPhrase({
+          phrase: refMeta.phrase,
+          pageHint,
+          all: findAll,
+          citations
+        });
+
+        if (!match) setRefNotice(`${refMeta.label} could not be found in this PDF`);
+      } else {
+        // Only the quote was drawn; an exact lookup is enough here
+        match = await viewer.resolvePhrase({ phrase: refMeta.phrase, pageHint, fuzzy: false });
+      }
+
+      // Offer the table the phrase sits in, if it's in one
+      const table = match ? await viewer.tableAt(match) : null;
+      setCitedTable(table ? { citation: refMeta, table } : null);
+    } catch (e) {
+      setRefNotice(`${refMeta.label} could not be shown: ${e?.message || e}`);
     }
   };
 
-  // Turn [n] in text into clickable buttons
-  const renderParagraph = (text, index) => {
-    const parts = [];
-    const regex = /\[(\d+)\]/g;
-    let lastIndex = 0;
-    let match;
+  // Resolve every citation without touching the view
+  const handleVerify = async () => {
+    if (!bundle || !viewerRef.current) return;
+
+    const viewer = viewerRef.current;
+    const resolve = (c) => viewer.resolvePhrase({ phrase: c.phrase, pageHint: c.pageHint });
+
+    setVerifying(true);
+    setRefNotice(null);
+    try {
+      const rows = await verifyCitations(bundle.citations, resolve);
+      const figures = await checkNumericClaims(blocks, bundle.citations, resolve, viewer.pageText);
+      setReport(rows);
+      setFigureReport(figures);
+    } catch (e) {
+      setRefNotice(`Verification failed: ${e?.message || e}`);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  // Clicking a highlight in the PDF: scroll to the [n] that cites it and
+  // flash its sentence. Repeated clicks step through every citing [n].
+  const handleHighlightClick = ({ citations }) => {
+    const body = analysisRef.current;
+    if (!body) return;
+
+    const buttons = citations.flatMap((c) =>
+      Array.from(body.querySelectorAll(`.ref-btn[data-ref="${c.id}"]`))
+    );
+    if (!buttons.length) return;
+
+    const key = citations.map((c) => c.id).join(",");
+    const cursor = citeCursor.current;
+    if (cursor.key !== key) {
+      cursor.key = key;
+      cursor.next = 0;
+    }
+
+    const btn = buttons[cursor.next % buttons.length];
+    cursor.next += 1;
+
+    btn.scrollIntoView({ block: "center", behavior: "smooth" });
+    flashSentence(btn);
+  };
+
+  // Turn [n] in the analysis into clickable buttons
+  const renderCitation = (refNum, key) => {
+    if (!references[refNum]) return <span key={key}>[{refNum}]</span>;
+
+    return (
+      <button
+        key={key}
+        type="button"
+        className="ref-btn"
+        data-ref={refNum}
+        style={showAllCitations ? { boxShadow: `inset 0 -3px 0 ${citationColors[refNum]}` } : undefined}
+        onClick={() => handleRefClick(refNum)}
+      >
+        [{refNum}]
+      </button>
+    );
+  };
+
+  // ----------------------------
+  // User highlights
+  // ----------------------------
+  // State is updated right away; IndexedDB follows, and a failed write is
+  // reported rather than rolled back.
+  const persist = (promise) =>
+    promise.catch((e) => setAnnotationError(`Could not save highlights: ${e?.message || e}`));
+
+  const addAnnotation = (selection, { color, note }) => {
+    if (!fingerprint) return;
+
+    const annotation = {
+      id: newAnnotationId(),
+      fingerprint,
+      pageNumber: selection.pageNumber,
+      start: selection.start,
+      end: selection.end,
+      text: selection.text,
+      quads: selection.quads,
+      color,
+      note,
+      createdAt: new Date().toISOString()
+    };
+
+    setAnnotations((list) =>
+      [...list, annotation].sort((a, b) => a.pageNumber - b.pageNumber || a.start - b.start)
+    );
+    persist(saveAnnotation(annotation));
+  };
+
+  const updateAnnotationNote = (annotation, note) => {
+    const updated = { ...annotation, note };
+    setAnnotations((list) => list.map((a) => (a.id === annotation.id ? updated : a)));
+    persist(saveAnnotation(updated));
+  };
+
+  const removeAnnotation = (annotation) => {
+    setAnnotations((list) => list.filter((a) => a.id !== annotation.id));
+    persist(deleteAnnotation(annotation.id));
+  };
+
+  // ----------------------------
+  // Cite a PDF selection
+  // ----------------------------
+  // The selection becomes citation [next id] (its text, page and exact
+  // text-item offsets) and the marker goes in at the editor's cursor, or
+  // at the end when the analysis hasn't been edited yet.
+  const citeSelection = (selection) => {
+    if (!bundle) return;
+
+    const id = nextCitationId(bundle);
+    const marker = `[${id}]`;
+    // At the editor's cursor, or as a paragraph of its own at the end
+    // (so it doesn't join the last paragraph or list item)
+    let text = bundle.analysis;
+    let at;
+    let glue;
+    if (caret.current !== null) {
+      at = Math.min(caret.current, text.length);
+      glue = at > 0 && !/[\s\]]/.test(text[at - 1]) ? " " : "";
+    } else {
+      text = text.replace(/\s+$/, "");
+      at = text.length;
+      glue = at > 0 ? "\n\n" : "";
+    }
 
-    while ((match = regex.exec(text)) !== null) {
-      const before = text.slice(lastIndex, match.index);
-      if (before) {
-        parts.push(<span key={`t-${index}-${lastIndex}`}>{before}</span>);
+    const citation = {
+      id,
+      label: marker,
+      phrase: selection.text,
+      pageHint: selection.pageNumber,
+      quote: "",
+      anchor: {
+        page: selection.pageNumber,
+        start: selection.start,
+        end: selection.end,
+        items: selection.spans
       }
+    };
 
-      const refNum = parseInt(match[1], 10);
-      const refMeta = REFERENCES[refNum];
+    setBundle((b) => ({
+      ...b,
+      analysis: text.slice(0, at) + glue + marker + text.slice(at),
+      citations: [...b.citations, citation]
+    }));
 
-      if (refMeta) {
-        parts.push(
-          <button
-            key={`ref-${index}-${refNum}-${match.index}`}
-            type="button"
-            className="ref-btn"
-            onClick={() => handleRefClick(refNum)}
-          >
-            [{refNum}]
-          </button>
-        );
+    caret.current = at + glue.length + marker.length;
+    pendingCaret.current = caret.current;
+    setEditing(true);
+  };
+
+  // Put the cursor back after the inserted marker
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || pendingCaret.current === null) return;
+
+    editor.focus();
+    editor.setSelectionRange(pendingCaret.current, pendingCaret.current);
+    pendingCaret.current = null;
+  }, [bundle, editing]);
+
+  // The cursor only counts while the editor is open
+  const toggleEditing = () => {
+    if (editing) caret.current = null;
+    setEditing(!editing);
+  };
+
+  const rememberCaret = (e) => {
+    caret.current = e.target.selectionStart;
+  };
+
+  const downloadBundle = () => {
+    const name = bundleUrl.split("/").pop().split("?")[0] || "analysis-bundle.json";
+    downloadFile(name, serializeAnalysisBundle(bundle), "application/json");
+  };
+
+  // Citations and highlights as PDF Highlight annotations: an XFDF file
+  // to import into the original, or a copy of the PDF with them embedded.
+  // Loaded on first use: it brings in pdf-lib, which nothing else needs.
+  const handleExport = async (format) => {
+    const viewer = viewerRef.current;
+    if (!viewer || !pdfDoc) return;
+
+    const pdfName = localPdf?.name || bundle.pdf.url.split("/").pop().split("?")[0] || "document.pdf";
+    const base = pdfName.replace(/\.pdf$/i, "");
+
+    setExporting(true);
+    setAnnotationError(null);
+    try {
+      const { buildAnnotatedPdf, buildXfdf, collectHighlights } = await import("./annotationExport");
+      const highlights = await collectHighlights({
+        citations: bundle ? bundle.citations : [],
+        colors: citationColors,
+        annotations,
+        resolvePhrase: viewer.resolvePhrase,
+        resolveQuote: viewer.resolveQuote
+      });
+
+      if (format === "xfdf") {
+        downloadFile(`${base}.xfdf`, buildXfdf(highlights, { pdfName }), "application/vnd.adobe.xfdf");
       } else {
-        parts.push(
-          <span key={`plain-${index}-${refNum}-${match.index}`}>[{refNum}]</span>
-        );
+        const bytes = await buildAnnotatedPdf(await viewer.getData(), highlights);
+        downloadFile(`${base}-annotated.pdf`, bytes, "application/pdf");
       }
-
-      lastIndex = regex.lastIndex;
+    } catch (e) {
+      setAnnotationError(`Export failed: ${e?.message || e}`);
+    } finally {
+      setExporting(false);
     }
+  };
 
-    const remaining = text.slice(lastIndex);
-    if (remaining) {
-      parts.push(<span key={`t-${index}-end`}>{remaining}</span>);
-    }
+  const renderSelectionMenu = (selection, close) => (
+    <SelectionMenu
+      onHighlight={(style) => {
+        addAnnotation(selection, style);
+        close();
+      }}
+      onCite={
+        bundle
+          ? () => {
+              citeSelection(selection);
+              close();
+            }
+          : null
+      }
+      onCancel={close}
+    />
+  );
 
-    return (
-      <p key={index} style={{ whiteSpace: "pre-wrap", marginBottom: 8 }}>
-        {parts}
-      </p>
-    );
+  const handleAnnotationClick = (annotation) => {
+    setShowAnnotations(true);
+    setActiveAnnotationId(annotation.id);
   };
 
   const handleClear = () => {
     setSearchQuery("");
     setActiveRefNum(null);
+    setQuoteCheck(null);
+    setCitedTable(null);
     if (viewerRef.current && viewerRef.current.clearHighlights) {
       viewerRef.current.clearHighlights();
     }
   };
 
+  // ----------------------------
+  // Open a local PDF (picker or drop)
+  // ----------------------------
+  // Replaces the bundle's PDF; citations are then resolved against it.
+  const openLocalPdf = async (f) => {
+    if (!f) return;
+    if (f.type !== "application/pdf" && !/\.pdf$/i.test(f.name)) {
+      setOpenError(`${f.name} is not a PDF`);
+      return;
+    }
+
+    setOpenError(null);
+    let data;
+    try {
+      data = await f.arrayBuffer();
+    } catch (e) {
+      setOpenError(`Could not read ${f.name}: ${e?.message || e}`);
+      return;
+    }
+    setActiveRefNum(null);
+    setQuoteCheck(null);
+    setCitedTable(null);
+    setMatchInfo({ current: 0, total: 0 });
+    setReport(null);
+    setRefNotice(null);
+    setLocalPdf({ name: f.name, data });
+  };
+
+  const closeLocalPdf = () => {
+    setActiveRefNum(null);
+    setQuoteCheck(null);
+    setCitedTable(null);
+    setMatchInfo({ current: 0, total: 0 });
+    setReport(null);
+    setRefNotice(null);
+    setLocalPdf(null);
+  };
+
+  const handleFilePicked = (e) => {
+    openLocalPdf(e.target.files && e.target.files[0]);
+    e.target.value = "";
+  };
+
+  const handleDragOver = (e) => {
+    if (!Array.from(e.dataTransfer.types || []).includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    openLocalPdf(e.dataTransfer.files && e.dataTransfer.files[0]);
+  };
+
+  // Step through occurrences when "All matches" is on
+  const nextMatch = () => viewerRef.current && viewerRef.current.nextMatch();
+  const prevMatch = () => viewerRef.current && viewerRef.current.prevMatch();
+
   // Zoom helpers (only affect PDF side)
   const minZoom = 0.6;
   const maxZoom = 1.6;
@@ -176,9 +536,44 @@ export default function App() {
   return (
     <div className="app-root-simple">
       {/* LEFT: PDF viewer */}
-      <div className="left-column">
+      <div
+        className={dragging ? "left-column dragging" : "left-column"}
+        onDragOver={handleDragOver}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+        }}
+        onDrop={handleDrop}
+      >
         <div className="left-header">
           <strong>PDF</strong>
+          <div style={{ marginLeft: 12, display: "flex", alignItems: "center" }}>
+            <button className="small" onClick={() => fileInputRef.current?.click()}>
+              Open PDF…
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/pdf,.pdf"
+              style={{ display: "none" }}
+              onChange={handleFilePicked}
+            />
+            {openError && (
+              <span style={{ marginLeft: 8, fontSize: 12, color: "red" }}>{openError}</span>
+            )}
+            {localPdf && (
+              <span style={{ marginLeft: 8, fontSize: 12 }}>
+                {localPdf.name}
+                <button
+                  className="small"
+                  onClick={closeLocalPdf}
+                  style={{ marginLeft: 4 }}
+                  title="Back to the bundle's PDF"
+                >
+                  ×
+                </button>
+              </span>
+            )}
+          </div>
           <div style={{ marginLeft: 12, display: "flex", alignItems: "center" }}>
             <button className="small" onClick={zoomOut}>-</button>
             <button className="small" onClick={zoomIn} style={{ marginLeft: 4, marginRight: 4 }}>+</button>
@@ -187,18 +582,184 @@ export default function App() {
               Zoom: {Math.round(zoom * 100)}%
             </span>
           </div>
+          <div style={{ marginLeft: 16, display: "flex", alignItems: "center" }}>
+            <label style={{ fontSize: 12, display: "flex", alignItems: "center" }}>
+              <input
+                type="checkbox"
+                checked={findAll}
+                onChange={(e) => setFindAll(e.target.checked)}
+              />
+              All matches
+            </label>
+            <label style={{ fontSize: 12, display: "flex", alignItems: "center", marginLeft: 8 }}>
+              <input
+                type="checkbox"
+                checked={showAllCitations}
+                onChange={(e) => setShowAllCitations(e.target.checked)}
+              />
+              All citations
+            </label>
+            {matchInfo.total > 0 && (
+              <>
+                <button className="small" onClick={prevMatch} style={{ marginLeft: 8 }}>‹</button>
+                <span style={{ margin: "0 6px", fontSize: 12 }}>
+                  {matchInfo.current + 1} of {matchInfo.total}
+                </span>
+                <button className="small" onClick={nextMatch}>›</button>
+              </>
+            )}
+          </div>
         </div>
 
-        {/* IMPORTANT FIX: removed file={pdfUrl} */}
-        <PdfViewer ref={viewerRef} zoom={zoom} />
+        {(bundle || localPdf) && (
+          <PdfViewer
+            ref={viewerRef}
+            file={localPdf || bundle.pdf.url}
+            zoom={zoom}
+            onMatchesChange={setMatchInfo}
+            onHighlightClick={handleHighlightClick}
+            citationOverlay={citationOverlay}
+            onDocumentChange={setPdfDoc}
+            annotations={annotations}
+            onAnnotationClick={handleAnnotationClick}
+            renderSelectionMenu={fingerprint ? renderSelectionMenu : null}
+          />
+        )}
+
+        {dragging && <div className="drop-overlay">Drop a PDF to open it</div>}
       </div>
 
       {/* RIGHT: analysis text + search */}
       <div className="right-column">
-        <h3>Analysis / Findings / Supporting Evidence</h3>
+        <h3>{bundle?.title || "Analysis / Findings / Supporting Evidence"}</h3>
+
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 8 }}>
+          <button
+            type="button"
+            className="small"
+            onClick={handleVerify}
+            disabled={!bundle || !pdfDoc || verifying}
+          >
+            {verifying ? "Verifying…" : "Verify citations"}
+          </button>
+          <button
+            type="button"
+            className="small"
+            onClick={toggleEditing}
+            disabled={!bundle}
+            style={{ marginLeft: 6 }}
+          >
+            {editing ? "Done editing" : "Edit analysis"}
+          </button>
+          {editing && (
+            <button type="button" className="small" onClick={downloadBundle} style={{ marginLeft: 6 }}>
+              Download bundle
+            </button>
+          )}
+          <button
+            type="button"
+            className="small"
+            onClick={() => setShowAnnotations((v) => !v)}
+            disabled={!fingerprint}
+            style={{ marginLeft: 6 }}
+          >
+            My highlights ({annotations.length})
+          </button>
+          <button
+            type="button"
+            className="small"
+            onClick={() => handleExport("xfdf")}
+            disabled={!pdfDoc || exporting}
+            style={{ marginLeft: 6 }}
+            title="Citations and highlights as an XFDF file"
+          >
+            Export XFDF
+          </button>
+          <button
+            type="button"
+            className="small"
+            onClick={() => handleExport("pdf")}
+            disabled={!pdfDoc || exporting}
+            style={{ marginLeft: 6 }}
+            title="A copy of the PDF with citations and highlights as annotations"
+          >
+            {exporting ? "Exporting…" : "Export PDF"}
+          </button>
+          {citedTable && (
+            <button
+              type="button"
+              className="small"
+              onClick={() => setShowTable((v) => !v)}
+              style={{ marginLeft: 6 }}
+            >
+              {showTable ? "Hide table" : `Table for ${citedTable.citation.label}`}
+            </button>
+          )}
+          {refNotice && (
+            <span style={{ marginLeft: 8, fontSize: 12, color: "#b00020" }}>{refNotice}</span>
+          )}
+        </div>
 
-        <div className="analysis-body">
-          {visibleParagraphs.map((p, idx) => renderParagraph(p, idx))}
+        {report && (
+          <CitationReportTable
+            rows={report}
+            figures={figureReport}
+            onSelect={handleRefClick}
+            onClose={() => setReport(null)}
+          />
+        )}
+
+        {annotationError && <div className="bundle-error">{annotationError}</div>}
+
+        {showAnnotations && (
+          <AnnotationList
+            annotations={annotations}
+            activeId={activeAnnotationId}
+            onSelect={(a) => {
+              setActiveAnnotationId(a.id);
+              viewerRef.current?.scrollToHighlight(a);
+            }}
+            onNoteChange={updateAnnotationNote}
+            onDelete={removeAnnotation}
+            onClose={() => setShowAnnotations(false)}
+          />
+        )}
+
+        {showTable && citedTable && (
+          <TablePanel
+            citation={citedTable.citation}
+            table={citedTable.table}
+            onClose={() => setShowTable(false)}
+          />
+        )}
+
+        {quoteCheck && (
+          <QuoteEvidence
+            citation={quoteCheck.citation}
+            result={quoteCheck.result}
+            onClose={() => setQuoteCheck(null)}
+          />
+        )}
+
+        <div className="analysis-body" ref={analysisRef}>
+          {bundleError && <div className="bundle-error">{bundleError}</div>}
+          {!bundle && !bundleError && <p>Loading analysis…</p>}
+          {editing && bundle ? (
+            <textarea
+              ref={editorRef}
+              className="analysis-editor"
+              value={bundle.analysis}
+              onChange={(e) => {
+                const analysis = e.target.value;
+                setBundle((b) => ({ ...b, analysis }));
+                rememberCaret(e);
+              }}
+              onSelect={rememberCaret}
+              spellCheck={false}
+            />
+          ) : (
+            visibleBlocks.map((b, idx) => renderBlock(b, renderCitation, idx))
+          )}
         </div>
 
         <div className="search-bar">
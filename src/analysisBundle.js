@@ -0,0 +1,185 @@
+// src/analysisBundle.js
+//
+// Analysis bundles: a PDF, the analysis written about it, and the
+// citations that link the two. The format is described by
+// public/bundles/analysis-bundle.schema.json.
+
+export const BUNDLE_VERSION = 1;
+
+// Raised for anything wrong with a bundle; `problems` lists every issue
+// found, each prefixed with the path of the offending field.
+export class AnalysisBundleError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n- ${problems.join("\n- ")}` : message);
+    this.name = "AnalysisBundleError";
+    this.problems = problems;
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+const isPositiveInt = (v) => Number.isInteger(v) && v >= 1;
+const isOffset = (v) => Number.isInteger(v) && v >= 0;
+
+// Where a citation made from a PDF selection was taken from
+function anchorProblems(anchor, at) {
+  if (!isObject(anchor)) return [`${at}: expected an object`];
+
+  const problems = [];
+  if (!isPositiveInt(anchor.page)) problems.push(`${at}.page: expected an integer >= 1`);
+  if (!isOffset(anchor.start) || !isOffset(anchor.end) || anchor.end <= anchor.start) {
+    problems.push(`${at}: expected offsets with 0 <= start < end`);
+  }
+  if (
+    !Array.isArray(anchor.items) ||
+    !anchor.items.every((it) => isObject(it) && isOffset(it.itemIndex) && isOffset(it.start) && isOffset(it.end))
+  ) {
+    problems.push(`${at}.items: expected [{ itemIndex, start, end }]`);
+  }
+  return problems;
+}
+
+// ----------------------------
+// Validate a parsed bundle
+// ----------------------------
+// Returns a normalized copy ({ version, title, pdf, analysis, citations })
+// with citation labels filled in, or throws AnalysisBundleError.
+export function validateAnalysisBundle(data) {
+  const problems = [];
+
+  if (!isObject(data)) {
+    throw new AnalysisBundleError("Invalid analysis bundle", ["bundle: expected a JSON object"]);
+  }
+
+  if (data.version !== BUNDLE_VERSION) {
+    throw new AnalysisBundleError("Unsupported analysis bundle", [
+      `version: expected ${BUNDLE_VERSION}, got ${JSON.stringify(data.version)}`
+    ]);
+  }
+
+  if (data.title !== undefined && typeof data.title !== "string") {
+    problems.push("title: expected a string");
+  }
+
+  if (!isObject(data.pdf)) {
+    problems.push("pdf: expected an object with a url");
+  } else if (!isNonEmptyString(data.pdf.url)) {
+    problems.push("pdf.url: expected a non-empty string");
+  }
+
+  if (typeof data.analysis !== "string") {
+    problems.push("analysis: expected a string");
+  }
+
+  const citations = [];
+  if (!Array.isArray(data.citations)) {
+    problems.push("citations: expected an array");
+  } else {
+    const seen = new Set();
+
+    data.citations.forEach((c, i) => {
+      const at = `citations[${i}]`;
+      if (!isObject(c)) {
+        problems.push(`${at}: expected an object`);
+        return;
+      }
+
+      if (!isPositiveInt(c.id)) problems.push(`${at}.id: expected an integer >= 1`);
+      else if (seen.has(c.id)) problems.push(`${at}.id: duplicate id ${c.id}`);
+      else seen.add(c.id);
+
+      if (!isNonEmptyString(c.phrase)) problems.push(`${at}.phrase: expected a non-empty string`);
+      if (c.label !== undefined && typeof c.label !== "string") {
+        problems.push(`${at}.label: expected a string`);
+      }
+      if (c.pageHint !== undefined && !isPositiveInt(c.pageHint)) {
+        problems.push(`${at}.pageHint: expected an integer >= 1`);
+      }
+      if (c.quote !== undefined && typeof c.quote !== "string") {
+        problems.push(`${at}.quote: expected a string`);
+      }
+      if (c.anchor !== undefined) problems.push(...anchorProblems(c.anchor, `${at}.anchor`));
+
+      citations.push({
+        id: c.id,
+        label: c.label || `[${c.id}]`,
+        phrase: c.phrase,
+        pageHint: c.pageHint,
+        quote: c.quote || "",
+        anchor: c.anchor
+      });
+    });
+  }
+
+  if (problems.length) throw new AnalysisBundleError("Invalid analysis bundle", problems);
+
+  return {
+    version: data.version,
+    title: data.title || "",
+    pdf: { url: data.pdf.url },
+    analysis: data.analysis,
+    citations
+  };
+}
+
+// ----------------------------
+// Fetch, parse and validate
+// ----------------------------
+export async function loadAnalysisBundle(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (e) {
+    throw new AnalysisBundleError(`Could not fetch analysis bundle ${url}: ${e?.message || e}`);
+  }
+  if (!res.ok) {
+    throw new AnalysisBundleError(`Could not fetch analysis bundle ${url}: HTTP ${res.status}`);
+  }
+
+  let data;
+  try {
+    data = await res.json();
+  } catch (e) {
+    throw new AnalysisBundleError(`Analysis bundle ${url} is not valid JSON: ${e?.message || e}`);
+  }
+
+  return validateAnalysisBundle(data);
+}
+
+// ----------------------------
+// Back to JSON
+// ----------------------------
+// The bundle as a file, e.g. after citations were added in the app.
+// Defaults filled in by validation (labels, empty quotes) are left out.
+export function serializeAnalysisBundle(bundle) {
+  const citations = bundle.citations.map((c) => {
+    const out = { id: c.id };
+    if (c.label && c.label !== `[${c.id}]`) out.label = c.label;
+    if (c.pageHint) out.pageHint = c.pageHint;
+    out.phrase = c.phrase;
+    if (c.quote) out.quote = c.quote;
+    if (c.anchor) out.anchor = c.anchor;
+    return out;
+  });
+
+  const data = {
+    version: BUNDLE_VERSION,
+    title: bundle.title || undefined,
+    pdf: bundle.pdf,
+    analysis: bundle.analysis,
+    citations
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+// The next free citation id
+export function nextCitationId(bundle) {
+  return bundle.citations.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+}
+
+// Citations keyed by id, the shape the analysis panel looks them up in
+export function citationsById(bundle) {
+  const byId = {};
+  for (const c of bundle.citations) byId[c.id] = c;
+  return byId;
+}
@@ -0,0 +1,180 @@
+// src/annotationExport.js
+//
+// Export citations and user highlights as standard PDF Highlight
+// annotations, either as an XFDF file (annotations only, to import into
+// the original PDF) or embedded in a copy of the PDF. Both are built from
+// the PDF-space quads the resolver produces, so they line up exactly in
+// any reader.
+//
+// A highlight to export is { id, pageNumber, quads, color, contents,
+// author, date }: `color` is "#rrggbb", `contents` the note a reader shows
+// for it and `author` its title line.
+
+import { PDFDocument, PDFHexString, PDFString } from "pdf-lib";
+
+const DEFAULT_COLOR = "#ffeb3b";
+
+function hexToRgb(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || "") ||
+    /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(DEFAULT_COLOR);
+  return m.slice(1).map((h) => Math.round((parseInt(h, 16) / 255) * 1000) / 1000);
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// QuadPoints order readers expect: top left, top right, bottom left,
+// bottom right (not the counter-clockwise order the spec's text implies)
+const quadPoints = (q) => [...q.tl, ...q.tr, ...q.bl, ...q.br].map(round);
+
+function bounds(quads) {
+  const xs = quads.flatMap((q) => [q.bl[0], q.br[0], q.tr[0], q.tl[0]]);
+  const ys = quads.flatMap((q) => [q.bl[1], q.br[1], q.tr[1], q.tl[1]]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)].map(round);
+}
+
+// ----------------------------
+// What to export
+// ----------------------------
+// Every citation (its quote fragments when it has a quote, else its
+// phrase; one annotation per page it lands on) followed by the user's
+// highlights. `resolvePhrase` / `resolveQuote` are the viewer's (or a
+// resolver's) resolve and resolveQuote; citations that can't be found
+// are left out.
+export async function collectHighlights({ citations, colors, annotations, resolvePhrase, resolveQuote }) {
+  const now = new Date();
+  const list = [];
+
+  for (const c of citations) {
+    let matches = [];
+    if (c.quote && resolveQuote) {
+      const result = await resolveQuote({ quote: c.quote, pageHint: c.pageHint });
+      if (result) matches = result.fragments.filter((f) => f.match).map((f) => f.match);
+    }
+    if (!matches.length) {
+      const match = await resolvePhrase({ phrase: c.phrase, pageHint: c.pageHint });
+      if (match) matches = [match];
+    }
+
+    const byPage = new Map();
+    for (const m of matches) byPage.set(m.pageNumber, [...(byPage.get(m.pageNumber) || []), ...m.quads]);
+
+    for (const [pageNumber, quads] of byPage) {
+      list.push({
+        id: `citation-${c.id}-p${pageNumber}`,
+        pageNumber,
+        quads,
+        color: colors[c.id] || DEFAULT_COLOR,
+        contents: `${c.label} ${c.quote || c.phrase}`,
+        author: "Citations",
+        date: now
+      });
+    }
+  }
+
+  for (const a of annotations) {
+    list.push({
+      id: a.id,
+      pageNumber: a.pageNumber,
+      quads: a.quads,
+      color: a.color,
+      contents: a.note || "",
+      author: "Highlights",
+      date: a.createdAt ? new Date(a.createdAt) : now
+    });
+  }
+
+  return list.filter((h) => h.quads.length);
+}
+
+// ----------------------------
+// XFDF
+// ----------------------------
+const escapeXml = (s) =>
+  String(s).replace(/[<>&"']/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[ch]);
+
+// PDF date string, D:YYYYMMDDHHmmSSZ (UTC)
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+
+// `pdfName` goes in <f href>, the file the annotations belong to
+export function buildXfdf(highlights, { pdfName = "" } = {}) {
+  const annots = highlights.map((h) => {
+    const attrs = [
+      ["page", h.pageNumber - 1], // XFDF pages count from 0
+      ["rect", bounds(h.quads).join(",")],
+      ["coords", h.quads.flatMap(quadPoints).join(",")],
+      ["color", (h.color || DEFAULT_COLOR).toUpperCase()],
+      ["name", h.id],
+      ["title", h.author || ""],
+      ["date", pdfDate(h.date)],
+      ["flags", "print"]
+    ].map(([k, v]) => `${k}="${escapeXml(v)}"`).join(" ");
+
+    return [
+      `    <highlight ${attrs}>`,
+      `      <contents>${escapeXml(h.contents || "")}</contents>`,
+      "    </highlight>"
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">',
+    ...(pdfName ? [`  <f href="${escapeXml(pdfName)}"/>`] : []),
+    "  <annots>",
+    ...annots,
+    "  </annots>",
+    "</xfdf>",
+    ""
+  ].join("\n");
+}
+
+// ----------------------------
+// Annotated PDF
+// ----------------------------
+// `pdfBytes` is the original file (pdf.js `getData()`); resolves to the
+// bytes of a copy with one Highlight annotation per highlight. Each gets
+// an appearance stream (the quads filled with a multiply blend), so
+// readers that don't generate appearances still show it.
+export async function buildAnnotatedPdf(pdfBytes, highlights) {
+  const doc = await PDFDocument.load(pdfBytes);
+  const pages = doc.getPages();
+  const { context } = doc;
+
+  for (const h of highlights) {
+    const page = pages[h.pageNumber - 1];
+    if (!page) continue;
+
+    const rect = bounds(h.quads);
+    const rgb = hexToRgb(h.color);
+    const paths = h.quads.map((q) => {
+      const [x1, y1, x2, y2, x3, y3, x4, y4] = quadPoints(q);
+      return `${x1} ${y1} m ${x2} ${y2} l ${x4} ${y4} l ${x3} ${y3} l h f`;
+    });
+
+    const appearance = context.stream(`/GS0 gs ${rgb.join(" ")} rg\n${paths.join("\n")}`, {
+      Type: "XObject",
+      Subtype: "Form",
+      BBox: rect,
+      Resources: { ExtGState: { GS0: { Type: "ExtGState", BM: "Multiply" } } }
+    });
+
+    const annot = context.obj({
+      Type: "Annot",
+      Subtype: "Highlight",
+      Rect: rect,
+      QuadPoints: h.quads.flatMap(quadPoints),
+      C: rgb,
+      F: 4, // print
+      P: page.ref,
+      NM: PDFString.of(h.id),
+      T: PDFHexString.fromText(h.author || ""),
+      Contents: PDFHexString.fromText(h.contents || ""),
+      M: PDFString.fromDate(h.date),
+      AP: { N: context.register(appearance) }
+    });
+
+    page.node.addAnnot(context.register(annot));
+  }
+
+  return doc.save();
+}
@@ -0,0 +1,59 @@
+// src/annotationList.jsx
+
+import React, { useEffect, useRef } from "react";
+
+// The user's highlights for the open PDF: click one to scroll to it, edit
+// its note in place (saved when the field loses focus), or delete it.
+export default function AnnotationList({ annotations, activeId, onSelect, onNoteChange, onDelete, onClose }) {
+  const listRef = useRef(null);
+
+  // Bring the highlight clicked in the PDF into view
+  useEffect(() => {
+    if (!activeId || !listRef.current) return;
+    const el = listRef.current.querySelector(`[data-annotation-id="${activeId}"]`);
+    if (el) el.scrollIntoView({ block: "nearest" });
+  }, [activeId]);
+
+  return (
+    <div className="annotation-list" ref={listRef}>
+      <div className="citation-report-header">
+        <strong>My highlights</strong>
+        <span style={{ marginLeft: 8, fontSize: 12 }}>{annotations.length}</span>
+        <button type="button" className="small" onClick={onClose} style={{ marginLeft: "auto" }}>
+          ×
+        </button>
+      </div>
+
+      {!annotations.length && (
+        <p style={{ fontSize: 12, margin: "4px 0" }}>Select text in the PDF to highlight it.</p>
+      )}
+
+      {annotations.map((a) => (
+        <div
+          key={a.id}
+          data-annotation-id={a.id}
+          className={`annotation-item${a.id === activeId ? " active" : ""}`}
+        >
+          <span className="annotation-dot" style={{ background: a.color }} />
+          <div className="annotation-text" onClick={() => onSelect(a)}>
+            <div>
+              <strong>p. {a.pageNumber}</strong> “{a.text}”
+            </div>
+            <input
+              type="text"
+              placeholder="Add a note…"
+              defaultValue={a.note}
+              onClick={(e) => e.stopPropagation()}
+              onBlur={(e) => {
+                if (e.target.value.trim() !== a.note) onNoteChange(a, e.target.value.trim());
+              }}
+            />
+          </div>
+          <button type="button" className="small" onClick={() => onDelete(a)} title="Delete highlight">
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+// src/annotationStore.js
+//
+// User highlights, kept in IndexedDB so they survive reloads. One record
+// per highlight, found again through the fingerprint of the PDF it was
+// made on (pdf.js `fingerprints[0]`), so reopening the same file, from a
+// URL or from disk, brings its highlights back.
+//
+// A highlight is { id, fingerprint, pageNumber, start, end, text, quads,
+// color, note, createdAt }; `quads` are PDF-space, so it can be drawn
+// without searching for its text again.
+
+const DB_NAME = "text-highlighter";
+const DB_VERSION = 1;
+const STORE = "annotations";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "id" });
+      store.createIndex("fingerprint", "fingerprint");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Let a later call try again (e.g. after the user allowed storage)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+// One request in its own transaction; resolves once the transaction commits
+async function run(mode, makeRequest) {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Highlights for one document, in reading order
+export async function loadAnnotations(fingerprint) {
+  const list = await run("readonly", (store) => store.index("fingerprint").getAll(fingerprint));
+  return list.sort((a, b) => a.pageNumber - b.pageNumber || a.start - b.start);
+}
+
+// Insert or update
+export function saveAnnotation(annotation) {
+  return run("readwrite", (store) => store.put(annotation));
+}
+
+export function deleteAnnotation(id) {
+  return run("readwrite", (store) => store.delete(id));
+}
+
+export function newAnnotationId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
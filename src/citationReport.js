@@ -0,0 +1,65 @@
+// src/citationReport.js
+//
+// Citation verification: resolve every citation against the PDF (with
+// the resolver passed in) and say how well it holds up.
+
+export const CITATION_STATUS = {
+  FOUND: "found", // exact match on the hinted page (or anywhere, if no hint)
+  OTHER_PAGE: "other-page", // exact match, but not on the hinted page
+  FUZZY: "fuzzy", // only an approximate match
+  NOT_FOUND: "not-found"
+};
+
+// ----------------------------
+// Classify one resolved citation
+// ----------------------------
+// `match` is what the resolver returned ({ pageNumber, exact, score, ... })
+// or null.
+export function classifyCitation(citation, match) {
+  if (!match) {
+    return { citation, status: CITATION_STATUS.NOT_FOUND, pageNumber: null, score: 0, match: null };
+  }
+
+  let status = CITATION_STATUS.FOUND;
+  if (!match.exact) status = CITATION_STATUS.FUZZY;
+  else if (citation.pageHint && match.pageNumber !== citation.pageHint) {
+    status = CITATION_STATUS.OTHER_PAGE;
+  }
+
+  return { citation, status, pageNumber: match.pageNumber, score: match.score, match };
+}
+
+// Short human-readable status for one report row
+export function describeStatus(row) {
+  switch (row.status) {
+    case CITATION_STATUS.FOUND:
+      return row.citation.pageHint ? "Found on hinted page" : "Found";
+    case CITATION_STATUS.OTHER_PAGE:
+      return `Found on page ${row.pageNumber}, not ${row.citation.pageHint}`;
+    case CITATION_STATUS.FUZZY:
+      return `Fuzzy match only (${Math.round(row.score * 100)}%, page ${row.pageNumber})`;
+    default:
+      return "Not found";
+  }
+}
+
+// ----------------------------
+// Verify a list of citations
+// ----------------------------
+// `resolve(citation)` resolves to a match or null. Citations are checked
+// one after another (pdf.js serializes text extraction anyway).
+export async function verifyCitations(citations, resolve) {
+  const rows = [];
+  for (const citation of citations) {
+    rows.push(classifyCitation(citation, await resolve(citation)));
+  }
+  return rows;
+}
+
+// Counts per status, e.g. for a summary line
+export function summarizeReport(rows) {
+  const counts = {};
+  for (const status of Object.values(CITATION_STATUS)) counts[status] = 0;
+  for (const row of rows) counts[row.status] += 1;
+  return counts;
+}
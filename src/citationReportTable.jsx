@@ -0,0 +1,108 @@
+// src/citationReportTable.jsx
+
+import React from "react";
+import { CITATION_STATUS, describeStatus, summarizeReport } from "./citationReport";
+import { NUMERIC_STATUS } from "./numericClaims";
+
+function describeClaim(claim) {
+  switch (claim.status) {
+    case NUMERIC_STATUS.OK:
+      return `Matches ${claim.evidence.raw}`;
+    case NUMERIC_STATUS.MISMATCH:
+      return `PDF has ${claim.evidence.raw} nearby`;
+    case NUMERIC_STATUS.MISSING:
+      return "No figures near the citation";
+    default:
+      return "Citation not found";
+  }
+}
+
+// Figures in cited sentences that the PDF doesn't back up, one row each
+function FigureChecks({ figures, onSelect }) {
+  const problems = figures.flatMap((row) =>
+    row.claims.filter((c) => c.status !== NUMERIC_STATUS.OK).map((claim) => ({ row, claim }))
+  );
+  const checked = figures.reduce((n, row) => n + row.claims.length, 0);
+
+  return (
+    <>
+      <div className="citation-report-header" style={{ marginTop: 8 }}>
+        <strong>Figures</strong>
+        <span style={{ marginLeft: 8, fontSize: 12 }}>
+          {problems.length
+            ? `${problems.length} of ${checked} need attention`
+            : `All ${checked} match the PDF`}
+        </span>
+      </div>
+
+      {problems.length > 0 && (
+        <table className="md-table citation-report-table">
+          <thead>
+            <tr>
+              <th>Ref</th>
+              <th>Sentence</th>
+              <th>Figure</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {problems.map(({ row, claim }, i) => (
+              <tr key={i} className={`figure-${claim.status}`} onClick={() => onSelect(row.ids[0])}>
+                <td>{row.ids.map((id) => `[${id}]`).join("")}</td>
+                <td>{row.text}</td>
+                <td>{claim.figure.raw}</td>
+                <td>{describeClaim(claim)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
+
+// Table of verification results; clicking a row shows that citation.
+// `figures` (optional) are numeric claim results from checkNumericClaims.
+export default function CitationReportTable({ rows, figures, onSelect, onClose }) {
+  const counts = summarizeReport(rows);
+  const problems = rows.length - counts[CITATION_STATUS.FOUND];
+
+  return (
+    <div className="citation-report">
+      <div className="citation-report-header">
+        <strong>Citation check</strong>
+        <span style={{ marginLeft: 8, fontSize: 12 }}>
+          {problems ? `${problems} of ${rows.length} need attention` : `All ${rows.length} found`}
+        </span>
+        <button type="button" className="small" onClick={onClose} style={{ marginLeft: "auto" }}>
+          ×
+        </button>
+      </div>
+
+      <table className="md-table citation-report-table">
+        <thead>
+          <tr>
+            <th>Ref</th>
+            <th>Phrase</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr
+              key={row.citation.id}
+              className={`status-${row.status}`}
+              onClick={() => onSelect(row.citation.id)}
+            >
+              <td>{row.citation.label}</td>
+              <td>{row.citation.phrase}</td>
+              <td>{describeStatus(row)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {figures && <FigureChecks figures={figures} onSelect={onSelect} />}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// src/flashSentence.js
+//
+// Briefly highlight the sentence around an element in the analysis panel
+// (used to show which sentence a citation button belongs to).
+
+const FLASH_MS = 1600;
+const HIGHLIGHT_NAME = "citing-sentence";
+
+// ----------------------------
+// Sentence range around an element
+// ----------------------------
+// Works on the text of the enclosing block (paragraph, list item, table
+// cell). The sentence runs from just after the previous ". " (or "! ",
+// "? ") to the next terminator after the element; citations usually sit
+// right before the full stop, so that stop belongs to their sentence.
+export function sentenceRangeAround(el) {
+  const block = el.closest("p, li, td, th, blockquote, h1, h2, h3, h4, h5, h6") || el.parentElement;
+  if (!block) return null;
+
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let text = "";
+  let elStart = -1;
+  let elEnd = -1;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (elStart === -1 && el.contains(node)) elStart = text.length;
+    nodes.push({ node, start: text.length });
+    text += node.data;
+    if (el.contains(node)) elEnd = text.length;
+  }
+  if (elStart === -1) return null;
+
+  let start = 0;
+  const before = /[.!?]["”’)]*\s+/g;
+  let m;
+  while ((m = before.exec(text)) !== null && m.index + m[0].length <= elStart) {
+    start = m.index + m[0].length;
+  }
+
+  const after = /[.!?](?=["”’)]*(\s|$))/g;
+  after.lastIndex = elEnd;
+  const stop = after.exec(text);
+  const end = stop ? stop.index + 1 : text.length;
+
+  const locate = (offset) => {
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      if (nodes[i].start <= offset) {
+        return [nodes[i].node, Math.min(offset - nodes[i].start, nodes[i].node.data.length)];
+      }
+    }
+    return [nodes[0].node, 0];
+  };
+
+  const range = document.createRange();
+  range.setStart(...locate(start));
+  range.setEnd(...locate(end));
+  return range;
+}
+
+// ----------------------------
+// Flash
+// ----------------------------
+// Uses the CSS Custom Highlight API where available (styled through
+// ::highlight(citing-sentence)); otherwise flashes the whole block.
+export function flashSentence(el) {
+  const range = sentenceRangeAround(el);
+
+  if (range && typeof CSS !== "undefined" && CSS.highlights && typeof Highlight !== "undefined") {
+    const highlight = new Highlight(range);
+    CSS.highlights.set(HIGHLIGHT_NAME, highlight);
+    setTimeout(() => {
+      if (CSS.highlights.get(HIGHLIGHT_NAME) === highlight) CSS.highlights.delete(HIGHLIGHT_NAME);
+    }, FLASH_MS);
+    return;
+  }
+
+  const block = el.closest("p, li, td, th, blockquote") || el.parentElement;
+  if (!block) return;
+
+  block.classList.remove("flash");
+  // Restart the animation if the same block is flashed twice in a row
+  void block.offsetWidth;
+  block.classList.add("flash");
+  setTimeout(() => block.classList.remove("flash"), FLASH_MS);
+}
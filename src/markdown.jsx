@@ -0,0 +1,256 @@
+// src/markdown.jsx
+//
+// A small Markdown renderer for the analysis panel. It covers what
+// analyses actually use: ATX headings, paragraphs, bullet and numbered
+// lists, blockquotes, pipe tables, rules, and inline **bold**, *italic*,
+// `code` and [text](url) links. A bare [n] is a citation and is rendered
+// by the caller, so citation buttons work anywhere in the document.
+
+import React from "react";
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const ORDERED = /^\s*\d+[.)]\s+(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split("|")
+    .map((cell) => cell.trim());
+}
+
+function cellAlign(divider) {
+  const left = divider.startsWith(":");
+  const right = divider.endsWith(":");
+  if (left && right) return "center";
+  if (right) return "right";
+  return left ? "left" : undefined;
+}
+
+// ----------------------------
+// Block structure
+// ----------------------------
+// Returns a list of blocks; each has a `type` and `raw` (its source text,
+// which the panel's search box filters on).
+export function parseMarkdown(source) {
+  const lines = String(source || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (!paragraph.length) return;
+    const text = paragraph.join("\n");
+    blocks.push({ type: "paragraph", text, raw: text });
+    paragraph = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flush();
+      i++;
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      flush();
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2], raw: line });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flush();
+      blocks.push({ type: "rule", raw: line });
+      i++;
+      continue;
+    }
+
+    if (line.includes("|") && TABLE_DIVIDER.test(lines[i + 1] || "")) {
+      flush();
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(cellAlign);
+      const rows = [];
+      const start = i;
+
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+
+      blocks.push({ type: "table", header, align, rows, raw: lines.slice(start, i).join("\n") });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      flush();
+      const quoted = [];
+      const start = i;
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(QUOTE.exec(lines[i])[1]);
+        i++;
+      }
+      blocks.push({ type: "quote", blocks: parseMarkdown(quoted.join("\n")), raw: lines.slice(start, i).join("\n") });
+      continue;
+    }
+
+    if (BULLET.test(line) || ORDERED.test(line)) {
+      flush();
+      const ordered = !BULLET.test(line);
+      const marker = ordered ? ORDERED : BULLET;
+      const items = [];
+      const start = i;
+
+      // Following lines that aren't a new item or a blank line continue
+      // the current item (hard-wrapped list text).
+      while (i < lines.length && lines[i].trim()) {
+        const item = marker.exec(lines[i]);
+        if (item) items.push(item[1]);
+        else if (items.length && !HEADING.test(lines[i])) items[items.length - 1] += `\n${lines[i].trim()}`;
+        else break;
+        i++;
+      }
+
+      blocks.push({ type: "list", ordered, items, raw: lines.slice(start, i).join("\n") });
+      continue;
+    }
+
+    paragraph.push(line);
+    i++;
+  }
+
+  flush();
+  return blocks;
+}
+
+// ----------------------------
+// Inline markup
+// ----------------------------
+// Alternatives, in priority order: code, link, citation, bold, italic.
+const INLINE = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\[(\d+)\]|\*\*(.+?)\*\*|\*(?!\s)(.+?)\*/g;
+
+// Link targets we render: http(s), mailto and relative URLs. Anything
+// else (javascript:, data:, ...) could run script from a shared bundle.
+const SAFE_SCHEMES = ["http", "https", "mailto"];
+
+function isSafeUrl(url) {
+  const scheme = /^([a-z][a-z\d+.-]*):/i.exec(url);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+export function renderInline(text, renderCitation, keyPrefix = "i") {
+  const nodes = [];
+  const regex = new RegExp(INLINE.source, "g");
+  let lastIndex = 0;
+  let m;
+
+  const pushText = (str, key) => {
+    // Soft line breaks inside a block are spaces, as in Markdown
+    if (str) nodes.push(<React.Fragment key={key}>{str.replace(/\s*\n\s*/g, " ")}</React.Fragment>);
+  };
+
+  while ((m = regex.exec(text)) !== null) {
+    pushText(text.slice(lastIndex, m.index), `${keyPrefix}-t${lastIndex}`);
+    const key = `${keyPrefix}-${m.index}`;
+
+    if (m[1] !== undefined) {
+      nodes.push(<code key={key}>{m[1]}</code>);
+    } else if (m[2] !== undefined && !isSafeUrl(m[3])) {
+      // Unsafe link: its text only
+      nodes.push(<React.Fragment key={key}>{renderInline(m[2], renderCitation, key)}</React.Fragment>);
+    } else if (m[2] !== undefined) {
+      nodes.push(
+        <a key={key} href={m[3]} target="_blank" rel="noreferrer">
+          {renderInline(m[2], renderCitation, key)}
+        </a>
+      );
+    } else if (m[4] !== undefined) {
+      nodes.push(renderCitation(parseInt(m[4], 10), key));
+    } else if (m[5] !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(m[5], renderCitation, key)}</strong>);
+    } else {
+      nodes.push(<em key={key}>{renderInline(m[6], renderCitation, key)}</em>);
+    }
+
+    lastIndex = regex.lastIndex;
+  }
+
+  pushText(text.slice(lastIndex), `${keyPrefix}-end`);
+  return nodes;
+}
+
+// ----------------------------
+// Render parsed blocks
+// ----------------------------
+// `renderCitation(refNum, key)` returns the node shown for [refNum].
+export function renderBlock(block, renderCitation, key) {
+  const inline = (text, k) => renderInline(text, renderCitation, k);
+
+  switch (block.type) {
+    case "heading": {
+      const Tag = `h${block.level}`;
+      return <Tag key={key} className="md-heading">{inline(block.text, key)}</Tag>;
+    }
+
+    case "rule":
+      return <hr key={key} />;
+
+    case "quote":
+      return (
+        <blockquote key={key}>
+          {block.blocks.map((b, idx) => renderBlock(b, renderCitation, `${key}-${idx}`))}
+        </blockquote>
+      );
+
+    case "list": {
+      const Tag = block.ordered ? "ol" : "ul";
+      return (
+        <Tag key={key}>
+          {block.items.map((item, idx) => (
+            <li key={idx}>{inline(item, `${key}-${idx}`)}</li>
+          ))}
+        </Tag>
+      );
+    }
+
+    case "table":
+      return (
+        <div key={key} className="md-table-wrap">
+          <table className="md-table">
+            <thead>
+              <tr>
+                {block.header.map((cell, c) => (
+                  <th key={c} style={{ textAlign: block.align[c] }}>
+                    {inline(cell, `${key}-h${c}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r}>
+                  {row.map((cell, c) => (
+                    <td key={c} style={{ textAlign: block.align[c] }}>
+                      {inline(cell, `${key}-${r}-${c}`)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+
+    default:
+      return <p key={key}>{inline(block.text, key)}</p>;
+  }
+}
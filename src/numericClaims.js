@@ -0,0 +1,234 @@
+// src/numericClaims.js
+//
+// Numeric claim checking: pull the figures (amount, scale, % or not) out
+// of every sentence in the analysis that cites something, and look for
+// the same figures in the PDF text around where that citation resolved.
+
+export const NUMERIC_STATUS = {
+  OK: "ok", // every figure appears near the citation
+  MISMATCH: "mismatch", // a figure differs from the ones the PDF has there
+  MISSING: "missing", // the PDF has no figures at all near the citation
+  UNRESOLVED: "unresolved" // none of the cited citations could be found
+};
+
+// Characters of page text on either side of a match that count as "near"
+const NEAR_CHARS = 400;
+
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, mn: 1e6, bn: 1e9, billion: 1e9 };
+
+// Optional currency, an optional minus sign, the number (1,234.5 or
+// 1234.5, maybe in brackets for prior-year columns, which are not
+// negative), then an optional scale or %. A letter or digit right before
+// the number (Q2, H1, 10-K) means it isn't an amount.
+const FIGURE =
+  /(?<![\p{L}\p{N}.,])(?:(USD|EUR|DKK|GBP|US\$|\$|€|£)\s?)?\(?([-−–])?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?\)?(?:\s?(%|per\s?cent|bn|billion|mn|million|m|thousand|k)(?![\p{L}\p{N}]))?/giu;
+
+// Not amounts: page references ("Page 3"), days of a date ("7 Aug") and
+// period headers ("6M 2025", "12M 2024"), a bare number and m/k before a year
+const PAGE_BEFORE = /\b(page|pages|p\.|pp\.|no\.)\s*$/i;
+const MONTH_AFTER = /^\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+const YEAR_AFTER = /^\s+(19|20)\d\d\b/;
+
+// ----------------------------
+// Extract figures from text
+// ----------------------------
+// Each figure is { raw, value, scale, percent, decimals, index }: `value`
+// as written (negative with a leading minus), `scale` the multiplier its
+// unit word implies (null when there is none) and `decimals` how
+// precisely it was written. Bare four-digit years (2024, 2025), page
+// numbers, days of the month and period headers are skipped.
+export function extractFigures(text) {
+  const figures = [];
+  const str = String(text || "");
+  let m;
+
+  FIGURE.lastIndex = 0;
+  while ((m = FIGURE.exec(str)) !== null) {
+    const [raw, currency, sign, whole, fraction, unit] = m;
+    const word = unit ? unit.toLowerCase().replace(/\s/g, "") : "";
+    const percent = word === "%" || word === "percent";
+
+    const bare = !currency && !word && !fraction;
+    if (bare && /^(19|20)\d\d$/.test(whole)) continue;
+    if (bare && PAGE_BEFORE.test(str.slice(0, m.index))) continue;
+    if (bare && MONTH_AFTER.test(str.slice(m.index + raw.length))) continue;
+
+    const period = !currency && !fraction && (word === "m" || word === "k");
+    if (period && YEAR_AFTER.test(str.slice(m.index + raw.length))) continue;
+
+    figures.push({
+      raw: raw.trim(),
+      value: (sign ? -1 : 1) * Number(`${whole.replace(/,/g, "")}${fraction ? `.${fraction}` : ""}`),
+      scale: percent ? null : SCALES[word] || null,
+      percent,
+      decimals: fraction ? fraction.length : 0,
+      index: m.index
+    });
+  }
+
+  return figures;
+}
+
+// The absolute values a figure may stand for. Report tables often give
+// the unit once in a header ("USD million"), so an unscaled PDF figure is
+// tried at every scale when the claim has one.
+function readings(figure, claimScaled) {
+  if (figure.scale) return [figure.value * figure.scale];
+  if (figure.percent || !claimScaled) return [figure.value];
+  return [1, 1e3, 1e6, 1e9].map((s) => figure.value * s);
+}
+
+// Half a unit in the last written digit: "2.3 bn" covers 2.25-2.35 bn
+const tolerance = (figure) => 0.5 * 10 ** -figure.decimals * (figure.scale || 1);
+
+// Does a figure found in the PDF support the claimed one?
+export function figuresAgree(claim, found) {
+  if (claim.percent !== found.percent) return false;
+
+  const target = claim.value * (claim.scale || 1);
+  const slack = Math.max(tolerance(claim), tolerance(found)) + 1e-9 * target;
+  return readings(found, !!claim.scale).some((v) => Math.abs(v - target) <= slack);
+}
+
+// The comparable figure closest to a claim (by ratio of magnitudes, the
+// same sign winning a tie): the one that supports it, or the one to show
+// next to a mismatch
+function closestFigure(claim, figures) {
+  const target = claim.value * (claim.scale || 1);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const f of figures) {
+    if (f.percent !== claim.percent) continue;
+    for (const v of readings(f, !!claim.scale)) {
+      const ratio = (Math.abs(v) || 1e-9) / (Math.abs(target) || 1e-9);
+      const distance = Math.abs(Math.log(ratio)) + (Math.sign(v) === Math.sign(target) ? 0 : 1e-6);
+      if (distance < bestDistance) {
+        best = f;
+        bestDistance = distance;
+      }
+    }
+  }
+
+  return best;
+}
+
+// ----------------------------
+// Cited sentences in the analysis
+// ----------------------------
+// Walks parsed Markdown blocks (see markdown.jsx) and returns every
+// sentence with a [n] in it as { ids, text }. Table rows count as one
+// sentence, leaving out cells that are only a number (a page column) or
+// only citations.
+export function citedSentences(blocks) {
+  const units = [];
+
+  const collect = (list) => {
+    for (const b of list) {
+      if (b.type === "paragraph" || b.type === "heading") units.push(...splitSentences(b.text));
+      else if (b.type === "list") b.items.forEach((item) => units.push(...splitSentences(item)));
+      else if (b.type === "quote") collect(b.blocks);
+      else if (b.type === "table") {
+        for (const row of b.rows) {
+          const ids = citationIds(row.join(" "));
+          const cells = row.filter((cell) => !/^\s*(\[\d+\]\s*)*$/.test(cell) && !/^\s*[\d.,]+\s*$/.test(cell));
+          units.push({ ids, text: cells.join(" — ") });
+        }
+      }
+    }
+  };
+
+  collect(blocks);
+  return units.filter((u) => u.ids.length).map((u) => ({ ids: u.ids, text: plainText(u.text) }));
+}
+
+function citationIds(text) {
+  return [...new Set([...String(text).matchAll(/\[(\d+)\]/g)].map((m) => Number(m[1])))];
+}
+
+// Sentences end at . ! or ? followed by space and a capital (so "2.3"
+// and "etc., net" don't split), but not after initials ("A.P. Moller");
+// a trailing [n] belongs to its sentence.
+function splitSentences(text) {
+  return String(text)
+    .replace(/\s+/g, " ")
+    .split(/(?<![\s.]\p{Lu}\.)(?<=[.!?]["”’)]*)\s+(?=[\p{Lu}“"])/u)
+    .map((s) => ({ ids: citationIds(s), text: s }));
+}
+
+// Markdown emphasis, code marks, links and the [n] markers removed
+const plainText = (text) =>
+  String(text)
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\[\d+\]/g, "")
+    .replace(/[*`]/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s+([.,;:])/g, "$1")
+    .trim();
+
+// ----------------------------
+// Check the analysis
+// ----------------------------
+// `resolve(citation)` resolves to a match ({ pageNumber, start, end }) or
+// null, `pageText(pageNumber)` to that page's text (the text the match
+// offsets refer to). Returns one row per cited sentence that has figures:
+// { ids, text, status, claims: [{ figure, status, evidence }] } where a
+// claim's status is "ok", "mismatch" (evidence: the closest figure the
+// PDF has there) or "missing".
+export async function checkNumericClaims(blocks, citations, resolve, pageText) {
+  const byId = new Map(citations.map((c) => [c.id, c]));
+  const nearby = new Map(); // citation id -> figures near its match, or null
+
+  const figuresNear = async (id) => {
+    if (nearby.has(id)) return nearby.get(id);
+
+    const citation = byId.get(id);
+    const match = citation ? await resolve(citation) : null;
+    let figures = null;
+    if (match) {
+      const text = await pageText(match.pageNumber);
+      const from = Math.max(0, match.start - NEAR_CHARS);
+      figures = extractFigures(text.slice(from, match.end + NEAR_CHARS));
+    }
+
+    nearby.set(id, figures);
+    return figures;
+  };
+
+  const rows = [];
+  for (const sentence of citedSentences(blocks)) {
+    const claimed = extractFigures(sentence.text);
+    if (!claimed.length) continue;
+
+    const found = [];
+    let resolved = false;
+    for (const id of sentence.ids) {
+      const figures = await figuresNear(id);
+      if (figures) {
+        resolved = true;
+        found.push(...figures);
+      }
+    }
+
+    if (!resolved) {
+      const claims = claimed.map((figure) => ({ figure, status: NUMERIC_STATUS.UNRESOLVED, evidence: null }));
+      rows.push({ ...sentence, status: NUMERIC_STATUS.UNRESOLVED, claims });
+      continue;
+    }
+
+    const claims = claimed.map((figure) => {
+      const evidence = closestFigure(figure, found);
+      if (!evidence) return { figure, status: NUMERIC_STATUS.MISSING, evidence: null };
+
+      const status = figuresAgree(figure, evidence) ? NUMERIC_STATUS.OK : NUMERIC_STATUS.MISMATCH;
+      return { figure, status, evidence };
+    });
+
+    const worst = [NUMERIC_STATUS.MISMATCH, NUMERIC_STATUS.MISSING].find((s) =>
+      claims.some((c) => c.status === s)
+    );
+    rows.push({ ...sentence, status: worst || NUMERIC_STATUS.OK, claims });
+  }
+
+  return rows;
+}
@@ -4,16 +4,47 @@ import React, {
   forwardRef,
   useEffect,
   useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
   useRef,
   useState
 } from "react";
 
 // Use the legacy build of pdf.js
 import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf";
+import { createPhraseResolver } from "./phraseResolver";
+import { createTextMeasurer } from "./textGeometry";
 
-// Use CDN worker (works both locally and on GitHub Pages)
-pdfjsLib.GlobalWorkerOptions.workerSrc =
-  `https://unpkg.com/pdfjs-dist@${pdfjsLib.version}/build/pdf.worker.min.js`;
+// The worker is bundled by Vite from the same pdfjs-dist as the API (the
+// legacy build, like the API), so no CDN is needed: it works offline,
+// behind proxies and under the GitHub Pages base path.
+import workerSrc from "pdfjs-dist/legacy/build/pdf.worker.min.js?url";
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+
+// ----------------------------
+// Explain worker problems
+// ----------------------------
+// pdf.js checks the worker's version against its own (`pdfjsLib.version`)
+// during the handshake and fails with a terse message; turn that (and a
+// worker that can't be fetched at all) into something that says what to
+// fix.
+function describeLoadError(e) {
+  const message = e?.message || String(e);
+
+  const mismatch = /API version "([^"]+)" does not match the Worker version "([^"]+)"/.exec(message);
+  if (mismatch) {
+    return (
+      `pdf.js worker version mismatch: the app uses pdf.js ${mismatch[1]} ` +
+      `but ${workerSrc} is ${mismatch[2]}.`
+    );
+  }
+
+  if (/Setting up fake worker failed/.test(message)) {
+    return `Could not load the pdf.js worker from ${workerSrc}: ${message}`;
+  }
+
+  return message;
+}
 
 // ----------------------------
 // FIX: Normalize file URLs
@@ -24,21 +55,247 @@ function normalizeFileUrl(file) {
   // No file passed → use report.pdf in public/
   if (!file) return `${base}report.pdf`;
 
-  // http/https → leave it as external URL
-  if (/^https?:\/\//i.test(file)) return file;
+  // http/https/blob → leave it as external URL
+  if (/^(https?:\/\/|blob:)/i.test(file)) return file;
 
   // remove starting "/" to avoid breaking base path
   return `${base}${String(file).replace(/^\/+/, "")}`;
 }
 
+// ----------------------------
+// Project a PDF-space quad into the scroll container
+// ----------------------------
+// The page viewport handles scale, the page's /Rotate and any crop-box
+// offset. The result is a box given by its top-left corner, size and the
+// angle of its baseline, so rotated text gets a rotated highlight.
+function quadToSegment(quad, meta) {
+  const { viewport, offsetTop, offsetLeft } = meta;
+  const project = ([x, y]) => {
+    const [vx, vy] = viewport.convertToViewportPoint(x, y);
+    return [offsetLeft + vx, offsetTop + vy];
+  };
+
+  const tl = project(quad.tl);
+  const tr = project(quad.tr);
+  const bl = project(quad.bl);
+
+  const width = Math.hypot(tr[0] - tl[0], tr[1] - tl[1]);
+  const height = Math.hypot(bl[0] - tl[0], bl[1] - tl[1]);
+  const angle = Math.atan2(tr[1] - tl[1], tr[0] - tl[0]);
+
+  const pad = 1;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    left: tl[0] - pad * cos + pad * sin,
+    top: tl[1] - pad * sin - pad * cos,
+    width: width + pad * 2,
+    height: height + pad * 2,
+    angle
+  };
+}
+
+// Axis-aligned bounds of a (possibly rotated) segment
+function segmentBounds(seg) {
+  const cos = Math.cos(seg.angle || 0);
+  const sin = Math.sin(seg.angle || 0);
+  const xs = [0, seg.width * cos, seg.width * cos - seg.height * sin, -seg.height * sin];
+  const ys = [0, seg.width * sin, seg.width * sin + seg.height * cos, seg.height * cos];
+
+  return {
+    left: seg.left + Math.min(...xs),
+    top: seg.top + Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+// Is a point (container coordinates) inside a (possibly rotated) segment?
+function segmentContains(seg, x, y) {
+  const cos = Math.cos(seg.angle || 0);
+  const sin = Math.sin(seg.angle || 0);
+  const dx = x - seg.left;
+  const dy = y - seg.top;
+  const lx = dx * cos + dy * sin;
+  const ly = -dx * sin + dy * cos;
+  return lx >= 0 && lx <= seg.width && ly >= 0 && ly <= seg.height;
+}
+
+function unionRects(rects) {
+  const left = Math.min(...rects.map((r) => r.left));
+  const top = Math.min(...rects.map((r) => r.top));
+  const right = Math.max(...rects.map((r) => r.left + r.width));
+  const bottom = Math.max(...rects.map((r) => r.top + r.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// ----------------------------
+// Merge item segments into one segment per line
+// ----------------------------
+// Segments arrive in reading order. One joins the current line when it
+// runs at the same angle and, measured across the baseline, overlaps the
+// line by at least half of the shorter height.
+function lineSegments(segments) {
+  const lines = [];
+
+  for (const s of segments) {
+    const line = lines[lines.length - 1];
+
+    if (line && Math.abs(line.angle - s.angle) < 0.01) {
+      const cos = Math.cos(line.angle);
+      const sin = Math.sin(line.angle);
+      const dx = s.left - line.left;
+      const dy = s.top - line.top;
+      const lx = dx * cos + dy * sin;
+      const ly = -dx * sin + dy * cos;
 
-const PdfViewer = forwardRef(function PdfViewer({ file, zoom = 0.9 }, ref) {
+      const overlap = Math.min(line.height, ly + s.height) - Math.max(0, ly);
+      if (overlap >= Math.min(line.height, s.height) / 2) {
+        const x0 = Math.min(0, lx);
+        const y0 = Math.min(0, ly);
+        const x1 = Math.max(line.width, lx + s.width);
+        const y1 = Math.max(line.height, ly + s.height);
+
+        line.left += x0 * cos - y0 * sin;
+        line.top += x0 * sin + y0 * cos;
+        line.width = x1 - x0;
+        line.height = y1 - y0;
+        continue;
+      }
+    }
+
+    lines.push({ ...s });
+  }
+
+  return lines;
+}
+
+// ----------------------------
+// Citation overlay colours
+// ----------------------------
+function withAlpha(hex, alpha) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || "");
+  if (!m) return hex;
+  const [r, g, b] = m.slice(1).map((h) => parseInt(h, 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// One citation: its colour. Several on the same text: diagonal stripes.
+function citationFill(citations) {
+  const colors = citations.map((c) => withAlpha(c.color, 0.4));
+  if (colors.length === 1) return colors[0];
+
+  const stops = colors.map((c, i) => `${c} ${i * 6}px ${(i + 1) * 6}px`);
+  return `repeating-linear-gradient(135deg, ${stops.join(", ")})`;
+}
+
+// `pass` goes up on every layout change; a render that started in an
+// older pass is stale and must not be recorded as done.
+// `textLayers` maps a page to its text layer ({ task, textDivs }).
+function newRenderState() {
+  return { queue: [], running: false, rendered: {}, pass: 0, active: null, textLayers: {} };
+}
+
+// Largest backing store we allocate for one page (same default as the
+// pdf.js viewer: 16 megapixels, ~64 MB of RGBA). Bigger pages get a lower
+// pixel ratio instead of a bigger canvas.
+const MAX_CANVAS_PIXELS = 16777216;
+
+// Device pixels per CSS pixel for a page, capped by MAX_CANVAS_PIXELS
+function outputScaleFor(viewport, pixelRatio) {
+  const cssPixels = viewport.width * viewport.height;
+  const cap = Math.sqrt(MAX_CANVAS_PIXELS / Math.max(cssPixels, 1));
+  return Math.min(pixelRatio, cap);
+}
+
+function currentPixelRatio() {
+  return (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+}
+
+// ----------------------------
+// Text layer position -> text item position
+// ----------------------------
+// The text layer has one span per text item, in item order (`textDivs`),
+// so a DOM position (as in a Selection range) maps to { itemIndex,
+// offset } in the page's items. Null when it isn't inside the layer.
+function itemPosition(textDivs, node, offset) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const index = textDivs.indexOf(node.parentElement);
+    return index === -1 ? null : { itemIndex: index, offset };
+  }
+
+  const own = textDivs.indexOf(node);
+  if (own !== -1) return { itemIndex: own, offset: offset ? node.textContent.length : 0 };
+
+  // Between the layer's children: the start of the next span, else the
+  // end of the previous one
+  for (let child = node.childNodes[offset]; child; child = child.nextSibling) {
+    const index = textDivs.indexOf(child);
+    if (index !== -1) return { itemIndex: index, offset: 0 };
+  }
+  for (let child = node.childNodes[offset - 1]; child; child = child.previousSibling) {
+    const index = textDivs.indexOf(child);
+    if (index !== -1) return { itemIndex: index, offset: child.textContent.length };
+  }
+  return null;
+}
+
+const textLayerOf = (node) =>
+  (node.nodeType === Node.TEXT_NODE ? node.parentElement : node)?.closest(".textLayer");
+
+// Pages within this distance of the visible area get rendered; pages
+// further away than KEEP_MARGIN give their canvas memory back.
+const RENDER_MARGIN = "50% 0px";
+const KEEP_MARGIN = "200% 0px";
+
+
+const PdfViewer = forwardRef(function PdfViewer(
+  {
+    file,
+    zoom = 0.9,
+    onMatchesChange,
+    onHighlightClick,
+    onDocumentChange,
+    citationOverlay,
+    annotations,
+    onAnnotationClick,
+    renderSelectionMenu
+  },
+  ref
+) {
   const containerRef = useRef(null);
   const [pdf, setPdf] = useState(null);
-  const [numPages, setNumPages] = useState(0);
+  const [pages, setPages] = useState([]);
   const [error, setError] = useState(null);
-  const [highlights, setHighlights] = useState([]);
-  const pageInfo = useRef({}); 
+  const [matches, setMatches] = useState([]);
+  const [current, setCurrent] = useState(0);
+  const [layoutVersion, setLayoutVersion] = useState(0);
+  const [hovered, setHovered] = useState(null);
+  const [overlay, setOverlay] = useState([]);
+  const [pixelRatio, setPixelRatio] = useState(currentPixelRatio);
+  const [selection, setSelection] = useState(null); // match for the selected text
+  const pageInfo = useRef({});
+  const resolverRef = useRef(null);
+
+  // Render bookkeeping shared by the observers and the render queue
+  const pagesRef = useRef([]);
+  const viewportsRef = useRef([]);
+  const pixelRatioRef = useRef(pixelRatio);
+  const visibleRef = useRef(new Set());
+  const renderState = useRef(newRenderState());
+
+  // Tell the parent which document is open (null while loading)
+  useEffect(() => {
+    if (!onDocumentChange) return;
+    onDocumentChange(
+      pdf ? { numPages: pdf.numPages, fingerprint: pdf.fingerprints?.[0] || null } : null
+    );
+  }, [pdf, onDocumentChange]);
+
+  // Let the toolbar show "n of m"
+  useEffect(() => {
+    if (onMatchesChange) onMatchesChange({ current, total: matches.length });
+  }, [matches, current, onMatchesChange]);
 
 
   // ----------------------------
@@ -49,25 +306,46 @@ const PdfViewer = forwardRef(function PdfViewer({ file, zoom = 0.9 }, ref) {
     let pdfDoc = null;
 
     setError(null);
-    setHighlights([]);
+    setHovered(null);
+    setSelection(null);
+    setOverlay([]);
+    setMatches([]);
+    setCurrent(0);
     pageInfo.current = {};
+    visibleRef.current = new Set();
+    renderState.current.queue = [];
+    cancelActiveRender();
+    Object.keys(renderState.current.textLayers).forEach((p) => releaseTextLayer(Number(p)));
+    renderState.current = newRenderState();
 
-    const fileUrl = normalizeFileUrl(file);
+    // `file` is a URL/path, or { data } with the bytes of a local file.
+    // pdf.js transfers the buffer to its worker, so hand it a copy and
+    // keep ours usable for the next load.
+    const source = file && file.data
+      ? { data: new Uint8Array(file.data).slice() }
+      : normalizeFileUrl(file);
 
     (async () => {
       try {
-        const task = pdfjsLib.getDocument(fileUrl);
+        const task = pdfjsLib.getDocument(source);
         pdfDoc = await task.promise;
 
+        // Page proxies are cheap; they give us every page's size up front
+        // so placeholders have the right height before anything is drawn.
+        const proxies = [];
+        for (let p = 1; p <= pdfDoc.numPages && !cancelled; p++) {
+          proxies.push(await pdfDoc.getPage(p));
+        }
+
         if (cancelled) {
           await pdfDoc.destroy();
           return;
         }
 
         setPdf(pdfDoc);
-        setNumPages(pdfDoc.numPages);
+        setPages(proxies);
       } catch (e) {
-        if (!cancelled) setError(e?.message || String(e));
+        if (!cancelled) setError(describeLoadError(e));
       }
     })();
 
@@ -75,54 +353,260 @@ const PdfViewer = forwardRef(function PdfViewer({ file, zoom = 0.9 }, ref) {
       cancelled = true;
       if (pdfDoc) pdfDoc.destroy().catch(() => {});
       setPdf(null);
-      setNumPages(0);
+      setPages([]);
     };
   }, [file]);
 
 
   // ----------------------------
-  // Render pages
+  // Page layout
   // ----------------------------
-  useEffect(() => {
-    if (!pdf || !numPages || !containerRef.current) return;
+  const scale = zoom || 0.9;
+
+  const viewports = useMemo(
+    () => pages.map((page) => page.getViewport({ scale })),
+    [pages, scale]
+  );
+  pagesRef.current = pages;
+  viewportsRef.current = viewports;
+  pixelRatioRef.current = pixelRatio;
+
+  // Placeholders are sized by now; record where each page sits so
+  // highlights can be projected, and redraw what's on screen.
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container || !viewports.length) return;
 
-    const scale = zoom || 0.9;
     const meta = {};
+    viewports.forEach((viewport, i) => {
+      const pageNumber = i + 1;
+      const canvas = container.querySelector(`#pdf-page-${pageNumber}`);
+      if (!canvas) return;
+
+      // The canvas sits at the top left of its page box, which is
+      // positioned (for the text layer) and so is the canvas' offsetParent
+      const box = canvas.parentElement;
+      meta[pageNumber] = {
+        viewport,
+        offsetTop: box.offsetTop,
+        offsetLeft: box.offsetLeft
+      };
+    });
+
+    // Layout is derived synchronously from the viewports of this pass, so
+    // pageInfo always matches the scale that is being drawn.
+    pageInfo.current = meta;
+    setLayoutVersion((v) => v + 1);
+
+    // Whatever is still drawing belongs to the previous scale
+    const state = renderState.current;
+    state.pass += 1;
+    state.queue = [];
+    cancelActiveRender();
+
+    visibleRef.current.forEach((pageNumber) => enqueueRender(pageNumber));
+  }, [viewports]);
+
+
+  // ----------------------------
+  // Render queue
+  // ----------------------------
+  // One page at a time, only while the page is still near the viewport,
+  // and only if its canvas doesn't already show the current scale.
+  // What a canvas currently shows; a change of either part means redraw
+  const renderKey = (viewport) => `${viewport.scale}@${pixelRatioRef.current}`;
+
+  const cancelActiveRender = (pageNumber) => {
+    const { active } = renderState.current;
+    if (active && (pageNumber === undefined || active.pageNumber === pageNumber)) {
+      active.task.cancel();
+    }
+  };
+
+  const renderPage = async (pageNumber) => {
+    const state = renderState.current;
+    const page = pagesRef.current[pageNumber - 1];
+    const viewport = viewportsRef.current[pageNumber - 1];
+    const canvas = containerRef.current?.querySelector(`#pdf-page-${pageNumber}`);
+    if (!page || !viewport || !canvas) return;
+
+    // The CSS size stays at viewport size (set in JSX); only the backing
+    // store is scaled, so highlight geometry is unaffected.
+    const pass = state.pass;
+    const outputScale = outputScaleFor(viewport, pixelRatioRef.current);
+    const ctx = canvas.getContext("2d");
+    canvas.width = Math.floor(viewport.width * outputScale);
+    canvas.height = Math.floor(viewport.height * outputScale);
 
-    const renderPages = async () => {
-      const container = containerRef.current;
-      const containerRect = container.getBoundingClientRect();
+    const task = page.render({
+      canvasContext: ctx,
+      viewport,
+      transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+    });
+    state.active = { pageNumber, task };
 
-      for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
-        const page = await pdf.getPage(pageNumber);
-        const viewport = page.getViewport({ scale });
+    try {
+      await task.promise;
+      if (pass === state.pass) state.rendered[pageNumber] = renderKey(viewport);
+      // Without its text layer the page is still drawn, only not selectable
+      renderTextLayer(pageNumber).catch(() => {});
+    } catch (e) {
+      if (e?.name !== "RenderingCancelledException") throw e;
+    } finally {
+      if (state.active?.task === task) state.active = null;
+    }
+  };
+
+  // ----------------------------
+  // Text layer
+  // ----------------------------
+  // Transparent text over the canvas so it can be selected. Built once per
+  // page from the resolver's cached text content; it is sized through
+  // --scale-factor, so a zoom change needs no rebuild.
+  const pageTextLayer = (pageNumber) =>
+    containerRef.current?.querySelector(`.pdf-page-wrapper[data-page-number="${pageNumber}"] .textLayer`);
 
-        const canvas = container.querySelector(`#pdf-page-${pageNumber}`);
-        if (!canvas) continue;
+  const renderTextLayer = async (pageNumber) => {
+    const state = renderState.current;
+    const layer = pageTextLayer(pageNumber);
+    const viewport = viewportsRef.current[pageNumber - 1];
+    const resolver = resolverRef.current;
+    if (!layer || !viewport || !resolver || state.textLayers[pageNumber]) return;
 
-        const ctx = canvas.getContext("2d");
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
+    const entry = { task: null, textDivs: [] };
+    state.textLayers[pageNumber] = entry;
 
-        await page.render({ canvasContext: ctx, viewport }).promise;
+    const { textContent } = await resolver.getPageText(pageNumber);
+    if (state.textLayers[pageNumber] !== entry) return; // released meanwhile
 
-        const wrapper = canvas.parentElement;
-        const canvasRect = canvas.getBoundingClientRect();
+    layer.replaceChildren();
+    entry.task = pdfjsLib.renderTextLayer({
+      textContentSource: textContent,
+      container: layer,
+      viewport,
+      textDivs: entry.textDivs
+    });
 
-        meta[pageNumber] = {
-          scale,
-          viewportHeight: viewport.height,
-          offsetTop: wrapper ? wrapper.offsetTop : 0,
-          offsetLeft: canvasRect.left - containerRect.left
-        };
+    try {
+      await entry.task.promise;
+    } catch (e) {
+      if (e?.name !== "AbortException") throw e;
+    }
+  };
+
+  const releaseTextLayer = (pageNumber) => {
+    const entry = renderState.current.textLayers[pageNumber];
+    if (!entry) return;
+
+    entry.task?.cancel();
+    delete renderState.current.textLayers[pageNumber];
+    pageTextLayer(pageNumber)?.replaceChildren();
+  };
+
+  const pumpRenderQueue = async () => {
+    const state = renderState.current;
+    if (state.running) return;
+    state.running = true;
+
+    try {
+      while (state.queue.length) {
+        const pageNumber = state.queue.shift();
+        const viewport = viewportsRef.current[pageNumber - 1];
+
+        if (!visibleRef.current.has(pageNumber) || !viewport) continue;
+        if (state.rendered[pageNumber] === renderKey(viewport)) continue;
+
+        await renderPage(pageNumber);
       }
+    } finally {
+      state.running = false;
+    }
+  };
 
-      pageInfo.current = meta;
-    };
+  const enqueueRender = (pageNumber) => {
+    const { queue } = renderState.current;
+    if (!queue.includes(pageNumber)) queue.push(pageNumber);
+    pumpRenderQueue().catch((e) => setError(e?.message || String(e)));
+  };
+
+  // Give the backing store back; the CSS size keeps the placeholder
+  const releasePage = (pageNumber) => {
+    cancelActiveRender(pageNumber);
+
+    const canvas = containerRef.current?.querySelector(`#pdf-page-${pageNumber}`);
+    if (canvas) {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+    delete renderState.current.rendered[pageNumber];
+    releaseTextLayer(pageNumber);
+  };
+
+
+  // ----------------------------
+  // Follow devicePixelRatio
+  // ----------------------------
+  // Changes when the window moves to another screen or the browser zoom
+  // changes; visible pages are then redrawn at the new ratio.
+  useEffect(() => {
+    if (typeof window === "undefined" || !window.matchMedia) return;
+
+    const query = window.matchMedia(`(resolution: ${pixelRatio}dppx)`);
+    const onChange = () => setPixelRatio(currentPixelRatio());
+    query.addEventListener("change", onChange);
+
+    return () => query.removeEventListener("change", onChange);
+  }, [pixelRatio]);
+
+  useEffect(() => {
+    visibleRef.current.forEach((pageNumber) => enqueueRender(pageNumber));
+  }, [pixelRatio]);
+
+
+  // ----------------------------
+  // Watch which pages are near the viewport
+  // ----------------------------
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !pages.length) return;
+
+    const pageNumberOf = (entry) => Number(entry.target.dataset.pageNumber);
+
+    const renderObserver = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          const pageNumber = pageNumberOf(entry);
+          if (entry.isIntersecting) {
+            visibleRef.current.add(pageNumber);
+            enqueueRender(pageNumber);
+          } else {
+            visibleRef.current.delete(pageNumber);
+          }
+        }
+      },
+      { root: container, rootMargin: RENDER_MARGIN }
+    );
+
+    const keepObserver = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) releasePage(pageNumberOf(entry));
+        }
+      },
+      { root: container, rootMargin: KEEP_MARGIN }
+    );
 
-    setHighlights([]);
-    renderPages().catch((e) => setError(e?.message || String(e)));
-  }, [pdf, numPages, zoom]);
+    const wrappers = container.querySelectorAll(".pdf-page-wrapper");
+    wrappers.forEach((el) => {
+      renderObserver.observe(el);
+      keepObserver.observe(el);
+    });
+
+    return () => {
+      renderObserver.disconnect();
+      keepObserver.disconnect();
+    };
+  }, [pages]);
 
 
   // ----------------------------
@@ -146,120 +630,469 @@ const PdfViewer = forwardRef(function PdfViewer({ file, zoom = 0.9 }, ref) {
 
 
   // ----------------------------
-  // Expose highlight function
+  // Phrase search for this document
   // ----------------------------
-  useImperativeHandle(ref, () => ({
-    async highlightPhrase({ phrase, pageHint }) {
-      if (!pdf || !phrase) return false;
-      const target = phrase.trim().toLowerCase();
-      if (!target) return false;
+  const resolver = useMemo(
+    () => (pdf ? createPhraseResolver(pdf, { measure: createTextMeasurer() }) : null),
+    [pdf]
+  );
+  resolverRef.current = resolver;
 
-      const total = pdf.numPages;
-      const order = [];
+  // The first exact match (hinted page first), else the best approximate
+  // window scoring at least `minScore`. Null when neither exists.
+  const resolvePhrase = async (options) => (resolver ? resolver.resolve(options) : null);
 
-      if (pageHint && pageHint >= 1 && pageHint <= total) order.push(pageHint);
-      for (let p = 1; p <= total; p++) if (!order.includes(p)) order.push(p);
+  // Fragment by fragment, see resolveQuote in phraseResolver.js
+  const resolveQuote = async (options) => (resolver ? resolver.resolveQuote(options) : null);
 
-      for (const pageNumber of order) {
-        const page = await pdf.getPage(pageNumber);
-        const textContent = await page.getTextContent();
+  // ----------------------------
+  // Citation overlay
+  // ----------------------------
+  // Every entry of `citationOverlay` ([{ id, label, phrase, pageHint,
+  // color }]) is resolved and drawn in its own colour. Citations that land
+  // on overlapping text share one highlight.
+  useEffect(() => {
+    let cancelled = false;
 
-        const items = textContent.items.map((it) => ({
-          str: it.str || "",
-          transform: it.transform || [1, 0, 0, 1, 0, 0],
-          width: it.width || 0,
-          height: it.height || 10
-        }));
+    if (!pdf || !citationOverlay || !citationOverlay.length) {
+      setOverlay([]);
+      return;
+    }
 
-        for (let i = 0; i < items.length; i++) {
-          const s = items[i].str.toLowerCase();
-          const idx = s.indexOf(target);
-          if (idx === -1) continue;
+    (async () => {
+      const groups = [];
 
-          const it = items[i];
+      for (const c of citationOverlay) {
+        const match = await resolvePhrase(c);
+        if (cancelled) return;
+        if (!match) continue;
 
-          const t = it.transform;
-          const x = t[4];
-          const y = t[5];
-          const w = it.width || it.str.length * 5;
-          const h = it.height || 10;
+        const cite = { id: c.id, label: c.label, color: c.color };
+        const same = groups.find(
+          (g) => g.pageNumber === match.pageNumber && g.start < match.end && match.start < g.end
+        );
 
-          const charCount = items[i].str.length || 1;
-          const startFrac = idx / charCount;
-          const endFrac = (idx + target.length) / charCount;
+        if (same) same.citations.push(cite);
+        else groups.push({ ...match, citations: [cite] });
+      }
 
-          const leftX = x + w * startFrac;
-          const rightX = x + w * endFrac;
+      setOverlay(groups);
+    })().catch((e) => {
+      if (!cancelled) setError(e?.message || String(e));
+    });
 
-          const meta = pageInfo.current[pageNumber];
-          if (!meta || !containerRef.current) continue;
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, citationOverlay]);
 
-          const { scale, viewportHeight, offsetTop, offsetLeft } = meta;
+  // ----------------------------
+  // Project stored matches onto the current layout
+  // ----------------------------
+  // Matches keep PDF-space quads, so a re-render at another zoom only
+  // needs a new projection, not a new search.
+  const projectMatch = (m) => {
+    const meta = pageInfo.current[m.pageNumber];
+    if (!meta) return [];
+    return lineSegments(m.quads.map((q) => quadToSegment(q, meta)));
+  };
 
-          const textTopPdf = y - h;
+  // Overlay and user highlights first so the current match is drawn on
+  // top of them
+  const drawn = useMemo(
+    () => [
+      ...overlay.map((m, index) => ({ ...m, kind: "citation", index, rects: projectMatch(m) })),
+      ...(annotations || []).map((a, index) => ({
+        ...a,
+        kind: "annotation",
+        index,
+        exact: true,
+        rects: projectMatch(a)
+      })),
+      ...matches.map((m, index) => ({ ...m, kind: "match", index, rects: projectMatch(m) }))
+    ],
+    [overlay, annotations, matches, layoutVersion]
+  );
 
-          const top =
-            offsetTop + (viewportHeight - textTopPdf * scale) - h * scale;
+  const scrollToMatch = (m) => {
+    const rects = m ? projectMatch(m) : [];
+    if (rects.length) scrollToRect(unionRects(rects.map(segmentBounds)));
+  };
 
-          const height = h * scale;
+  // Keep the current match in view after the pages are laid out again
+  useEffect(() => {
+    scrollToMatch(matches[current]);
+  }, [layoutVersion]);
 
-          const baseWidth = (rightX - leftX) * scale;
-          const baseLeft = offsetLeft + leftX * scale;
+  const showMatches = (list, index) => {
+    setHovered(null);
+    setMatches(list);
+    setCurrent(index);
+    scrollToMatch(list[index]);
+  };
 
-          const pad = 3;
-          const rect = {
-            left: baseLeft - pad,
-            top: top - pad - 6,
-            width: baseWidth + pad * 2,
-            height: height + pad * 2
-          };
+  // One drawable match per page from a resolved quote's fragments, so the
+  // whole passage is highlighted together; in page order
+  const quoteMatches = (result) => {
+    const byPage = new Map();
+    for (const { match } of result.fragments) {
+      if (!match) continue;
+      const m = byPage.get(match.pageNumber);
+      if (!m) {
+        byPage.set(match.pageNumber, { ...match });
+        continue;
+      }
+      m.quads = [...m.quads, ...match.quads];
+      m.start = Math.min(m.start, match.start);
+      m.end = Math.max(m.end, match.end);
+      m.exact = m.exact && match.exact;
+      m.score = Math.min(m.score, match.score);
+    }
+    return [...byPage.values()].sort((a, b) => a.pageNumber - b.pageNumber);
+  };
 
-          setHighlights([rect]);
-          scrollToRect(rect);
-          return true;
+  const step = (delta) => {
+    if (!matches.length) return null;
+    const index = (current + delta + matches.length) % matches.length;
+    showMatches(matches, index);
+    return { ...matches[index], index, total: matches.length };
+  };
+
+
+  // ----------------------------
+  // Text selection
+  // ----------------------------
+  // A selection inside one page's text layer becomes a match (exact item
+  // offsets and PDF-space quads) and gets the selection menu. The menu's
+  // own clicks leave it alone.
+  const clearSelection = () => {
+    setSelection(null);
+    window.getSelection()?.removeAllRanges();
+  };
+
+  const handleMouseUp = async (e) => {
+    if (!renderSelectionMenu || !resolver) return;
+    if (e.target.closest?.(".selection-menu")) return;
+
+    const sel = window.getSelection();
+    const range = sel && !sel.isCollapsed && sel.rangeCount ? sel.getRangeAt(0) : null;
+    const layer = range && textLayerOf(range.startContainer);
+    if (!layer || layer !== textLayerOf(range.endContainer)) {
+      setSelection(null);
+      return;
+    }
+
+    const pageNumber = Number(layer.closest(".pdf-page-wrapper").dataset.pageNumber);
+    const textDivs = renderState.current.textLayers[pageNumber]?.textDivs || [];
+    const from = itemPosition(textDivs, range.startContainer, range.startOffset);
+    const to = itemPosition(textDivs, range.endContainer, range.endOffset);
+
+    setSelection(from && to ? await resolver.matchForItems(pageNumber, from, to) : null);
+  };
+
+  // The menu sits under the last line of the selection
+  const selectionRects = selection ? projectMatch(selection) : [];
+  const selectionMenu = selectionRects.length
+    ? (() => {
+        const last = segmentBounds(selectionRects[selectionRects.length - 1]);
+        return { left: last.left, top: last.top + last.height + 4 };
+      })()
+    : null;
+
+
+  // ----------------------------
+  // Expose highlight function
+  // ----------------------------
+  useImperativeHandle(ref, () => ({
+    // Resolves to { pageNumber, quads, exact, score, index, total } for the
+    // current match, or null when nothing is found. `quads` are in PDF user
+    // space, one per text item the match touches.
+    //
+    // With `all`, every occurrence in the document is highlighted and the
+    // current one is the first on or after `pageHint`. When there is no
+    // exact match anywhere, the best approximate window scoring at least
+    // `minScore` is shown instead (`exact: false`). `citations`
+    // ([{ id, label }]) are attached to the drawn matches and handed back
+    // through onHighlightClick.
+    async highlightPhrase({
+      phrase,
+      pageHint,
+      all = false,
+      fuzzy = true,
+      minScore = 0.75,
+      citations = []
+    }) {
+      if (!pdf || !phrase) return null;
+      if (!phrase.trim()) return null;
+
+      const show = (list, index) => {
+        const tagged = list.map((m) => ({ ...m, citations }));
+        showMatches(tagged, index);
+        return { ...tagged[index], index, total: tagged.length };
+      };
+
+      if (all) {
+        const list = await resolver.findAll(phrase);
+
+        if (list.length) {
+          const after = pageHint ? list.findIndex((m) => m.pageNumber >= pageHint) : 0;
+          return show(list, after === -1 ? 0 : after);
         }
       }
 
-      return false;
+      const match = await resolvePhrase({ phrase, pageHint, fuzzy, minScore });
+      return match ? show([match], 0) : null;
+    },
+
+    // Highlights a quoted passage: each fragment between "…" elisions is
+    // matched on its own and all of them are drawn, one match per page.
+    // Resolves to { fragments: [{ text, match }], found, exact, score }
+    // (each fragment's `match.text` is the text found in the PDF), or null
+    // when no fragment is found; the page of the first fragment is shown.
+    async highlightQuote({ quote, pageHint, fuzzy = true, minScore = 0.75, citations = [] }) {
+      if (!pdf || !quote) return null;
+
+      const result = await resolveQuote({ quote, pageHint, fuzzy, minScore });
+      if (!result || !result.found) return null;
+
+      const list = quoteMatches(result).map((m) => ({ ...m, citations }));
+      const first = result.fragments.find((f) => f.match).match.pageNumber;
+      showMatches(list, Math.max(0, list.findIndex((m) => m.pageNumber === first)));
+      return result;
+    },
+
+    // Same matching as highlightQuote, but nothing is drawn or scrolled
+    resolveQuote(options) {
+      return resolveQuote(options);
+    },
+
+    // The table a match sits in ({ pageNumber, rows, columnCount }), or null
+    tableAt(match) {
+      return resolver && match ? resolver.tableAt(match) : null;
+    },
+
+    // Text of one page, as the start/end offsets of matches refer to it
+    async pageText(pageNumber) {
+      if (!resolver) return "";
+      return (await resolver.getPageText(pageNumber)).pageText.text;
+    },
+
+    // Same matching as highlightPhrase, but nothing is drawn or scrolled.
+    // Resolves to { pageNumber, start, end, quads, exact, score } or null.
+    resolvePhrase(options) {
+      return resolvePhrase(options);
+    },
+
+    nextMatch() {
+      return step(1);
+    },
+
+    prevMatch() {
+      return step(-1);
     },
 
     clearHighlights() {
-      setHighlights([]);
-    }
+      setHovered(null);
+      setMatches([]);
+      setCurrent(0);
+    },
+
+    // Scroll a stored highlight ({ pageNumber, quads }) into view
+    scrollToHighlight(highlight) {
+      scrollToMatch(highlight);
+    },
+
+    // Bytes of the loaded file (a Uint8Array), e.g. to write a copy of it
+    getData() {
+      return pdf ? pdf.getData() : Promise.resolve(null);
+    },
+
+    clearSelection
   }));
 
 
+  // ----------------------------
+  // Highlight → citation
+  // ----------------------------
+  const handleHighlightClick = (dIdx) => {
+    const m = drawn[dIdx];
+    if (!m) return;
+
+    if (m.kind === "annotation") {
+      if (onAnnotationClick) onAnnotationClick(annotations[m.index]);
+      return;
+    }
+
+    if (m.kind === "match") setCurrent(m.index);
+    if (onHighlightClick && m.citations?.length) {
+      onHighlightClick({
+        pageNumber: m.pageNumber,
+        citations: m.citations,
+        exact: m.exact,
+        score: m.score
+      });
+    }
+  };
+
+  // ----------------------------
+  // Hit-testing highlights
+  // ----------------------------
+  // Highlight boxes never take pointer events, so a drag can always start
+  // on the text layer under them; hover and click are found from the
+  // pointer position instead. Only boxes with something to show or do
+  // count: citation-linked, approximate and user highlights.
+  const interactive = (m) => m.citations?.length || !m.exact || m.kind === "annotation";
+
+  const highlightAt = (e) => {
+    const container = containerRef.current;
+    if (!container) return null;
+
+    const box = container.getBoundingClientRect();
+    const x = e.clientX - box.left - container.clientLeft + container.scrollLeft;
+    const y = e.clientY - box.top - container.clientTop + container.scrollTop;
+
+    // Later boxes are drawn on top
+    for (let dIdx = drawn.length - 1; dIdx >= 0; dIdx--) {
+      const m = drawn[dIdx];
+      if (interactive(m) && m.rects.some((r) => segmentContains(r, x, y))) return dIdx;
+    }
+    return null;
+  };
+
+  const handleMouseMove = (e) => {
+    if (e.buttons & 1) return; // selecting
+    const dIdx = highlightAt(e);
+    setHovered((h) => (h === dIdx ? h : dIdx));
+  };
+
+  // A click, not the end of a selection drag
+  const handleClick = (e) => {
+    if (e.target.closest?.(".selection-menu")) return;
+    if (window.getSelection && !window.getSelection().isCollapsed) return;
+
+    const dIdx = highlightAt(e);
+    if (dIdx !== null) handleHighlightClick(dIdx);
+  };
+
+  // Hover label above the first line of the hovered match
+  const hoveredMatch = hovered !== null ? drawn[hovered] : null;
+  const clickable = !!hoveredMatch && (hoveredMatch.citations?.length > 0 || hoveredMatch.kind === "annotation");
+  const tooltip = hoveredMatch && hoveredMatch.rects.length
+    ? {
+        left: segmentBounds(hoveredMatch.rects[0]).left,
+        top: segmentBounds(hoveredMatch.rects[0]).top - 22,
+        text: [
+          hoveredMatch.kind === "annotation" ? hoveredMatch.note || "Highlight" : null,
+          hoveredMatch.citations?.length
+            ? `Cited by ${hoveredMatch.citations.map((c) => c.label).join(", ")}`
+            : null,
+          hoveredMatch.exact
+            ? null
+            : `Approximate match (${Math.round(hoveredMatch.score * 100)}% similar)`
+        ].filter(Boolean).join(" · ")
+      }
+    : null;
+
+
   if (error) {
     return <div style={{ color: "red", padding: 10 }}>Failed to load PDF: {error}</div>;
   }
 
   return (
     <div className="pdf-border-panel">
-      <div className="pdf-scroll-container" ref={containerRef}>
-        {Array.from({ length: numPages || 0 }, (_, i) => {
+      <div
+        className={clickable ? "pdf-scroll-container over-highlight" : "pdf-scroll-container"}
+        ref={containerRef}
+        onMouseUp={handleMouseUp}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHovered(null)}
+        onClick={handleClick}
+      >
+        {viewports.map((viewport, i) => {
           const pageNumber = i + 1;
           return (
-            <div className="pdf-page-wrapper" key={pageNumber}>
-              <canvas id={`pdf-page-${pageNumber}`} />
+            <div className="pdf-page-wrapper" key={pageNumber} data-page-number={pageNumber}>
+              <div
+                className="pdf-page"
+                style={{ width: viewport.width, height: viewport.height, "--scale-factor": viewport.scale }}
+              >
+                <canvas
+                  id={`pdf-page-${pageNumber}`}
+                  style={{ width: viewport.width, height: viewport.height }}
+                />
+                <div className="textLayer" />
+              </div>
             </div>
           );
         })}
 
         <div className="highlight-layer">
-          {highlights.map((h, idx) => (
+          {drawn.flatMap((m, dIdx) =>
+            m.rects.map((h, idx) => (
+              <div
+                key={`${m.kind}-${m.index}-${idx}`}
+                className={[
+                  "highlight-box",
+                  m.kind === "citation" && "citation",
+                  m.kind === "annotation" && "annotation",
+                  m.kind === "match" && m.index === current && "current",
+                  !m.exact && "fuzzy"
+                ].filter(Boolean).join(" ")}
+                style={{
+                  background:
+                    m.kind === "citation"
+                      ? citationFill(m.citations)
+                      : m.kind === "annotation"
+                        ? withAlpha(m.color, 0.4)
+                        : undefined,
+                  position: "absolute",
+                  left: h.left,
+                  top: h.top,
+                  width: h.width,
+                  height: h.height,
+                  transform: h.angle ? `rotate(${h.angle}rad)` : undefined,
+                  transformOrigin: "0 0"
+                }}
+              />
+            ))
+          )}
+
+          {drawn
+            .filter((m) => m.kind === "citation" && m.rects.length)
+            .map((m) => {
+              const meta = pageInfo.current[m.pageNumber];
+              const first = segmentBounds(m.rects[0]);
+              const left = meta.offsetLeft >= 40 ? meta.offsetLeft - 38 : meta.offsetLeft + 2;
+
+              return (
+                <div
+                  key={`label-${m.index}`}
+                  className="citation-label"
+                  style={{ left, top: first.top, background: m.citations[0].color }}
+                >
+                  {m.citations.map((c) => c.label).join("")}
+                </div>
+              );
+            })}
+
+          {selectionMenu && (
             <div
-              key={idx}
-              className="highlight-box"
-              style={{
-                position: "absolute",
-                left: h.left,
-                top: h.top,
-                width: h.width,
-                height: h.height,
-                pointerEvents: "none"
-              }}
-            />
-          ))}
+              key={`${selection.pageNumber}:${selection.start}:${selection.end}`}
+              className="selection-menu"
+              style={{ left: selectionMenu.left, top: selectionMenu.top }}
+            >
+              {renderSelectionMenu(selection, clearSelection)}
+            </div>
+          )}
+
+          {tooltip && (
+            <div
+              className="highlight-tooltip"
+              style={{ left: tooltip.left, top: tooltip.top }}
+            >
+              {tooltip.text}
+            </div>
+          )}
         </div>
       </div>
     </div>
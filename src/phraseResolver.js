@@ -0,0 +1,213 @@
+// src/phraseResolver.js
+//
+// Finds phrases in an open pdf.js document: page text extraction (cached),
+// exact and fuzzy matching, and the PDF-space geometry of each match.
+// Shared by the viewer and the command-line checker, so it only imports
+// plain modules (with file extensions, for Node).
+
+import { detectTable } from "./tableDetect.js";
+import { itemSpanQuad } from "./textGeometry.js";
+import {
+  buildPageText,
+  findFuzzyMatch,
+  findPhraseMatches,
+  itemSpansForRange,
+  splitQuote
+} from "./textMatch.js";
+
+// `measure` is a text measurer from createTextMeasurer(), or null to
+// assume equal-width characters (e.g. in Node, where there's no canvas).
+export function createPhraseResolver(pdf, { measure = null } = {}) {
+  const textCache = {};
+
+  // ----------------------------
+  // Page text (cached)
+  // ----------------------------
+  const getPageText = async (pageNumber) => {
+    if (textCache[pageNumber]) return textCache[pageNumber];
+
+    const page = await pdf.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+
+    const items = textContent.items.map((it) => ({
+      str: it.str || "",
+      hasEOL: !!it.hasEOL,
+      transform: it.transform || [1, 0, 0, 1, 0, 0],
+      width: it.width || 0,
+      height: it.height || 10,
+      fontName: it.fontName
+    }));
+
+    // `textContent` is kept as pdf.js returned it, for the viewer's text layer
+    const entry = { items, styles: textContent.styles || {}, pageText: buildPageText(items), textContent };
+    textCache[pageNumber] = entry;
+    return entry;
+  };
+
+  // PDF-space quads (one per touched item) for a [start, end) range
+  const rangeQuads = ({ items, styles, pageText }, range) =>
+    itemSpansForRange(pageText, range.start, range.end).map((span) => {
+      const item = items[span.itemIndex];
+      return itemSpanQuad(item, styles[item.fontName], span, measure);
+    });
+
+  // All exact matches of `phrase` on one page, each as
+  // { pageNumber, start, end, text, quads, exact, score } (start/end are
+  // offsets into the page text, `text` is what the PDF actually says)
+  const findOnPage = async (pageNumber, phrase) => {
+    const entry = await getPageText(pageNumber);
+    const found = [];
+
+    for (const match of findPhraseMatches(entry.pageText, phrase)) {
+      const quads = rangeQuads(entry, match);
+      const text = entry.pageText.text.slice(match.start, match.end);
+      if (quads.length) found.push({ pageNumber, ...match, text, quads, exact: true, score: 1 });
+    }
+
+    return found;
+  };
+
+  // Best approximate match across `order`; earlier pages win ties
+  const findFuzzy = async (order, phrase, minScore) => {
+    let best = null;
+
+    for (const pageNumber of order) {
+      const entry = await getPageText(pageNumber);
+      const match = findFuzzyMatch(entry.pageText, phrase, { minScore });
+      if (!match || (best && match.score <= best.score)) continue;
+
+      const quads = rangeQuads(entry, match);
+      const text = entry.pageText.text.slice(match.start, match.end);
+      if (quads.length) best = { pageNumber, ...match, text, quads, exact: false };
+    }
+
+    return best;
+  };
+
+  // Search order: the hinted page first, then the rest in page order
+  const pageOrder = (pageHint) => {
+    const total = pdf.numPages;
+    const order = [];
+    if (pageHint >= 1 && pageHint <= total) order.push(pageHint);
+    for (let p = 1; p <= total; p++) if (!order.includes(p)) order.push(p);
+    return order;
+  };
+
+  // ----------------------------
+  // Resolve a phrase
+  // ----------------------------
+  // The first exact match (hinted page first), else the best approximate
+  // window scoring at least `minScore`. Null when neither exists.
+  const resolve = async ({ phrase, pageHint, fuzzy = true, minScore = 0.75 }) => {
+    if (!phrase || !phrase.trim()) return null;
+
+    const order = pageOrder(pageHint);
+    for (const pageNumber of order) {
+      const [match] = await findOnPage(pageNumber, phrase);
+      if (match) return match;
+    }
+
+    return fuzzy ? findFuzzy(order, phrase, minScore) : null;
+  };
+
+  // Every exact match in the document, in page order
+  const findAll = async (phrase) => {
+    const list = [];
+    for (let p = 1; p <= pdf.numPages; p++) list.push(...(await findOnPage(p, phrase)));
+    return list;
+  };
+
+  // ----------------------------
+  // Resolve a quoted passage
+  // ----------------------------
+  // The quote is split at its "…" elisions and each fragment is matched
+  // on its own: the first like resolve(), the rest preferably after the
+  // previous fragment on the same page, then anywhere else (exact before
+  // fuzzy). Returns { fragments: [{ text, match }], found, exact, score }
+  // where `match` is null for a fragment that wasn't found, `exact` is
+  // true when every fragment matched exactly and `score` is the mean
+  // fragment score (0 for missing ones).
+  const resolveQuote = async ({ quote, pageHint, fuzzy = true, minScore = 0.75 }) => {
+    const fragments = [];
+    let previous = null;
+
+    for (const text of splitQuote(quote)) {
+      const order = pageOrder(previous ? previous.pageNumber : pageHint);
+      let match = null;
+
+      for (const pageNumber of order) {
+        const found = await findOnPage(pageNumber, text);
+        if (!found.length) continue;
+
+        const onSamePage = previous && pageNumber === previous.pageNumber;
+        match = (onSamePage && found.find((m) => m.start >= previous.end)) || found[0];
+        break;
+      }
+
+      if (!match && fuzzy) match = await findFuzzy(order, text, minScore);
+
+      fragments.push({ text, match });
+      if (match) previous = match;
+    }
+
+    const found = fragments.filter((f) => f.match).length;
+    const total = fragments.reduce((sum, f) => sum + (f.match ? f.match.score : 0), 0);
+
+    return {
+      fragments,
+      found,
+      exact: found === fragments.length && fragments.every((f) => f.match.exact),
+      score: fragments.length ? total / fragments.length : 0
+    };
+  };
+
+  // ----------------------------
+  // Match for a text selection
+  // ----------------------------
+  // `from` and `to` are { itemIndex, offset } positions in the page's text
+  // items (`to` exclusive), e.g. the ends of a selection in the text layer.
+  // Returns a match shaped like findOnPage's, plus `spans` (the exact item
+  // offsets, [{ itemIndex, start, end }]); whitespace at either end is
+  // dropped. Null when nothing but whitespace is covered.
+  const matchForItems = async (pageNumber, from, to) => {
+    const entry = await getPageText(pageNumber);
+    const { text, itemStarts } = entry.pageText;
+
+    let start = itemStarts[from.itemIndex] + from.offset;
+    let end = itemStarts[to.itemIndex] + to.offset;
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (!(end > start)) return null;
+
+    const range = { start, end };
+    const quads = rangeQuads(entry, range);
+    if (!quads.length) return null;
+
+    return {
+      pageNumber,
+      start,
+      end,
+      text: text.slice(start, end),
+      spans: itemSpansForRange(entry.pageText, start, end),
+      quads,
+      exact: true,
+      score: 1
+    };
+  };
+
+  // ----------------------------
+  // Table around a match
+  // ----------------------------
+  // The table (see tableDetect.js) containing the first text item of a
+  // match, as { pageNumber, rows, columnCount }, or null.
+  const tableAt = async (match) => {
+    const { items, pageText } = await getPageText(match.pageNumber);
+    const [span] = itemSpansForRange(pageText, match.start, match.end);
+    if (!span) return null;
+
+    const table = detectTable(items, span.itemIndex);
+    return table ? { pageNumber: match.pageNumber, ...table } : null;
+  };
+
+  return { getPageText, findOnPage, findAll, resolve, resolveQuote, matchForItems, tableAt };
+}
@@ -0,0 +1,53 @@
+// src/quoteEvidence.jsx
+
+import React from "react";
+
+// How one fragment of the quote held up
+function describeFragment(match) {
+  if (!match) return "Not found";
+  const where = `p. ${match.pageNumber}`;
+  return match.exact ? `Exact, ${where}` : `${Math.round(match.score * 100)}%, ${where}`;
+}
+
+// The claimed quote next to the text actually found in the PDF, one row
+// per fragment between "…" elisions. `result` is what highlightQuote /
+// resolveQuote returned.
+export default function QuoteEvidence({ citation, result, onClose }) {
+  const { fragments } = result;
+  const missing = fragments.length - result.found;
+
+  let summary = `${fragments.length} fragments match exactly`;
+  if (missing) summary = `${missing} of ${fragments.length} fragments not found`;
+  else if (!result.exact) summary = `Approximate (${Math.round(result.score * 100)}%)`;
+
+  return (
+    <div className="quote-evidence">
+      <div className="citation-report-header">
+        <strong>Quote {citation.label}</strong>
+        <span style={{ marginLeft: 8, fontSize: 12 }}>{summary}</span>
+        <button type="button" className="small" onClick={onClose} style={{ marginLeft: "auto" }}>
+          ×
+        </button>
+      </div>
+
+      <table className="md-table quote-evidence-table">
+        <thead>
+          <tr>
+            <th>Claimed</th>
+            <th>In the PDF</th>
+            <th>Match</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fragments.map(({ text, match }, i) => (
+            <tr key={i} className={!match ? "missing" : match.exact ? "exact" : "approximate"}>
+              <td>{text}</td>
+              <td>{match ? match.text : "—"}</td>
+              <td>{describeFragment(match)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+// src/selectionMenu.jsx
+
+import React, { useState } from "react";
+
+export const HIGHLIGHT_COLORS = ["#fdd835", "#66bb6a", "#42a5f5", "#ec407a", "#ffa726"];
+
+// Shown under a text selection in the PDF: pick a colour, optionally add
+// a note, and save it as a highlight. With `onCite`, the selection can
+// also become a new citation.
+export default function SelectionMenu({ onHighlight, onCite, onCancel }) {
+  const [color, setColor] = useState(HIGHLIGHT_COLORS[0]);
+  const [note, setNote] = useState("");
+
+  const save = () => onHighlight({ color, note: note.trim() });
+
+  return (
+    <>
+      {HIGHLIGHT_COLORS.map((c) => (
+        <button
+          key={c}
+          type="button"
+          className={`color-swatch${c === color ? " selected" : ""}`}
+          style={{ background: c }}
+          title={c}
+          onClick={() => setColor(c)}
+        />
+      ))}
+      <input
+        type="text"
+        placeholder="Note (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") save();
+          if (e.key === "Escape") onCancel();
+        }}
+      />
+      <button type="button" className="small" onClick={save}>
+        Highlight
+      </button>
+      {onCite && (
+        <button type="button" className="small" onClick={onCite} title="Add as a citation at the cursor">
+          Cite
+        </button>
+      )}
+      <button type="button" className="small" onClick={onCancel}>
+        ×
+      </button>
+    </>
+  );
+}
@@ -0,0 +1,194 @@
+// src/tableDetect.js
+//
+// Table detection on one page of getTextContent() items: find the table a
+// cited item sits in and rebuild it as rows and columns from the item
+// positions. Works on upright text in PDF user space (y grows upwards).
+
+// Items of a table are drawn one after another in the content stream, so
+// the table is the run of items around the anchor that keeps the anchor's
+// font size and has no vertical jump larger than this many line heights.
+const MAX_ROW_GAP = 3;
+
+// Items on one row: baselines within this fraction of the line height
+const ROW_TOLERANCE = 0.4;
+
+// Gap (in line heights) between items that still belong to one cell
+const CELL_GAP = 0.6;
+
+// A row this close (in line heights) above the next one is merged into it
+// when it's a wrapped label or the top line of a two-line header
+const WRAP_GAP = 1.5;
+
+const NUMBER = /^[-−–(]?[\d.,]+\)?%?$/;
+
+const isBlank = (item) => !item.str.trim();
+const isUpright = (item) => Math.abs(item.transform[1]) < 1e-6 && Math.abs(item.transform[2]) < 1e-6;
+const itemX = (item) => item.transform[4];
+const itemY = (item) => item.transform[5];
+
+// ----------------------------
+// The run of items making up the table
+// ----------------------------
+function tableRun(items, anchorIndex) {
+  const anchor = items[anchorIndex];
+  const h = anchor.height;
+  const fits = (item, prev) =>
+    isUpright(item) &&
+    Math.abs(item.height - h) <= h * 0.25 &&
+    Math.abs(itemY(item) - itemY(prev)) <= h * MAX_ROW_GAP;
+
+  const run = [anchorIndex];
+  for (const dir of [-1, 1]) {
+    let prev = anchor;
+    for (let i = anchorIndex + dir; i >= 0 && i < items.length; i += dir) {
+      if (isBlank(items[i])) continue;
+      if (!fits(items[i], prev)) break;
+      run.push(i);
+      prev = items[i];
+    }
+  }
+
+  return run.sort((a, b) => a - b);
+}
+
+// ----------------------------
+// Rows and their cells
+// ----------------------------
+// Items grouped by baseline (top row first), then joined left to right
+// into cells wherever they nearly touch.
+function buildRows(items, run, h) {
+  const rows = [];
+
+  for (const index of run) {
+    const item = items[index];
+    let row = rows.find((r) => Math.abs(r.y - itemY(item)) <= h * ROW_TOLERANCE);
+    if (!row) {
+      row = { y: itemY(item), entries: [] };
+      rows.push(row);
+    }
+    row.entries.push({ index, item });
+  }
+
+  rows.sort((a, b) => b.y - a.y);
+
+  return rows.map((row) => {
+    const entries = row.entries.sort((a, b) => itemX(a.item) - itemX(b.item));
+    const cells = [];
+
+    for (const { index, item } of entries) {
+      const cell = cells[cells.length - 1];
+      const x0 = itemX(item);
+      const x1 = x0 + item.width;
+
+      if (cell && x0 - cell.x1 <= h * CELL_GAP) {
+        const glue = x0 - cell.x1 > h * 0.15 && !/^[,.;:)]/.test(item.str) ? " " : "";
+        cell.text += glue + item.str.trim();
+        cell.x1 = Math.max(cell.x1, x1);
+        cell.indices.push(index);
+      } else {
+        cells.push({ text: item.str.trim(), x0, x1, indices: [index] });
+      }
+    }
+
+    return { y: row.y, cells };
+  });
+}
+
+// ----------------------------
+// Columns
+// ----------------------------
+// Column spans are the union of the cells' horizontal extents over every
+// row with two or more cells (one-cell rows are usually titles that would
+// bridge the gaps).
+function columnSpans(rows) {
+  const spans = rows
+    .filter((r) => r.cells.length >= 2)
+    .flatMap((r) => r.cells.map((c) => [c.x0, c.x1]))
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [x0, x1] of spans) {
+    const last = merged[merged.length - 1];
+    if (last && x0 <= last[1]) last[1] = Math.max(last[1], x1);
+    else merged.push([x0, x1]);
+  }
+  return merged;
+}
+
+// Index of the column a cell overlaps most (or is nearest to)
+function columnOf(cell, columns) {
+  let best = 0;
+  let bestScore = -Infinity;
+  columns.forEach(([x0, x1], i) => {
+    const score = Math.min(cell.x1, x1) - Math.max(cell.x0, x0);
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// ----------------------------
+// Detect the table around an item
+// ----------------------------
+// `items` are a page's text items ({ str, transform, width, height }),
+// `anchorIndex` the item the citation starts in. Returns
+// { rows: [{ cells: [string], anchor }], columnCount } with the anchor's
+// row flagged, or null when the anchor isn't inside a table (fewer than
+// two rows or two columns).
+export function detectTable(items, anchorIndex) {
+  const anchor = items[anchorIndex];
+  if (!anchor || !isUpright(anchor) || !(anchor.height > 0)) return null;
+
+  const h = anchor.height;
+  const rows = buildRows(items, tableRun(items, anchorIndex), h);
+  const columns = columnSpans(rows);
+  if (columns.length < 2) return null;
+
+  const grid = rows.map((row) => {
+    const cells = columns.map(() => "");
+    const used = new Set();
+    for (const cell of row.cells) {
+      const c = columnOf(cell, columns);
+      cells[c] = cells[c] ? `${cells[c]} ${cell.text}` : cell.text;
+      used.add(c);
+    }
+    const indices = row.cells.flatMap((cell) => cell.indices);
+    // Figures past the first column (which may hold note numbers)
+    const numeric = cells.slice(1).some((text) => NUMBER.test(text));
+    return { y: row.y, cells, used, numeric, anchor: indices.includes(anchorIndex) };
+  });
+
+  // Fold wrapped labels and two-line headers into the row below
+  const merged = [];
+  for (let i = 0; i < grid.length; i++) {
+    const row = grid[i];
+    const next = grid[i + 1];
+    const close = next && row.y - next.y <= h * WRAP_GAP;
+    const within = close && [...row.used].every((c) => next.used.has(c));
+
+    if (close && (!row.numeric || within)) {
+      next.cells = next.cells.map((text, c) => [row.cells[c], text].filter(Boolean).join(" "));
+      row.used.forEach((c) => next.used.add(c));
+      next.anchor = next.anchor || row.anchor;
+      continue;
+    }
+    merged.push(row);
+  }
+
+  if (merged.length < 2) return null;
+  return {
+    rows: merged.map((r) => ({ cells: r.cells, anchor: r.anchor })),
+    columnCount: columns.length
+  };
+}
+
+// ----------------------------
+// CSV
+// ----------------------------
+// RFC 4180: fields with commas, quotes or line breaks are quoted
+export function tableToCsv(table) {
+  const field = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  return table.rows.map((row) => row.cells.map(field).join(",")).join("\r\n") + "\r\n";
+}
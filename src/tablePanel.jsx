@@ -0,0 +1,48 @@
+// src/tablePanel.jsx
+
+import React from "react";
+import { downloadFile } from "./download";
+import { tableToCsv } from "./tableDetect";
+
+const downloadCsv = (table) =>
+  downloadFile(`page-${table.pageNumber}-table.csv`, tableToCsv(table), "text/csv;charset=utf-8");
+
+// The table around a cited phrase as a grid, with the cited row marked.
+// `table` is what the viewer's tableAt() returned.
+export default function TablePanel({ citation, table, onClose }) {
+  return (
+    <div className="table-panel">
+      <div className="citation-report-header">
+        <strong>Table for {citation.label}</strong>
+        <span style={{ marginLeft: 8, fontSize: 12 }}>Page {table.pageNumber}</span>
+        <button
+          type="button"
+          className="small"
+          onClick={() => downloadCsv(table)}
+          style={{ marginLeft: "auto" }}
+        >
+          Export CSV
+        </button>
+        <button type="button" className="small" onClick={onClose} style={{ marginLeft: 4 }}>
+          ×
+        </button>
+      </div>
+
+      <div className="md-table-wrap">
+        <table className="md-table table-panel-grid">
+          <tbody>
+            {table.rows.map((row, r) => (
+              <tr key={r} className={row.anchor ? "cited" : undefined}>
+                {row.cells.map((cell, c) => (
+                  <td key={c} style={{ textAlign: c === 0 ? "left" : "right" }}>
+                    {cell}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
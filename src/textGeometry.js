@@ -0,0 +1,90 @@
+// src/textGeometry.js
+//
+// Where a run of characters sits on the page, in PDF user space. Without
+// a canvas to measure with, characters are taken to be equal width.
+
+const MEASURE_FONT_SIZE = 100;
+
+// ----------------------------
+// Text measurer
+// ----------------------------
+// Returns measure(str, fontFamily) -> width in px at MEASURE_FONT_SIZE, or
+// null when no canvas is available. This is the same trick the pdf.js text
+// layer uses: the browser's rendering of the substituted font gives the
+// relative glyph advances, and the item's width from the PDF fixes scale.
+export function createTextMeasurer() {
+  let ctx = null;
+
+  if (typeof OffscreenCanvas !== "undefined") {
+    ctx = new OffscreenCanvas(1, 1).getContext("2d");
+  } else if (typeof document !== "undefined") {
+    ctx = document.createElement("canvas").getContext("2d");
+  }
+  if (!ctx) return null;
+
+  const cache = new Map();
+
+  return (str, fontFamily = "sans-serif") => {
+    const key = `${fontFamily}\u0000${str}`;
+    if (cache.has(key)) return cache.get(key);
+
+    ctx.font = `${MEASURE_FONT_SIZE}px ${fontFamily}`;
+    const width = ctx.measureText(str).width;
+    cache.set(key, width);
+    return width;
+  };
+}
+
+// Fraction of the item's advance taken up by str.slice(0, offset)
+function advanceFraction(str, offset, fontFamily, measure) {
+  if (offset <= 0) return 0;
+  if (offset >= str.length) return 1;
+
+  if (measure) {
+    const total = measure(str, fontFamily);
+    if (total > 0) return measure(str.slice(0, offset), fontFamily) / total;
+  }
+
+  return offset / str.length;
+}
+
+// ----------------------------
+// Quad for part of one text item
+// ----------------------------
+// `span` holds character offsets inside `item.str`; `style` is the item's
+// entry in textContent.styles (fontFamily, ascent, descent).
+//
+// The item's transform maps text space into PDF user space: (a, b) runs
+// along the baseline and (c, d) points "up" the glyphs, so rotated and
+// skewed runs come out right. Returns the four corners in PDF user space
+// as { bl, br, tr, tl }, each an [x, y] pair.
+export function itemSpanQuad(item, style, span, measure) {
+  const [a, b, c, d, e, f] = item.transform;
+  const along = Math.hypot(a, b) || 1;
+  const fontSize = Math.hypot(c, d) || item.height || 10;
+  const width = item.width || item.str.length * fontSize * 0.5;
+
+  const ux = a / along;
+  const uy = b / along;
+  const vx = c / fontSize;
+  const vy = d / fontSize;
+
+  // Same fallbacks as the pdf.js text layer
+  const fontFamily = style?.fontFamily || "sans-serif";
+  const descent = style?.descent || -0.2;
+  const ascent = style?.ascent || 1 + descent;
+
+  const x0 = width * advanceFraction(item.str, span.start, fontFamily, measure);
+  const x1 = width * advanceFraction(item.str, span.end, fontFamily, measure);
+  const y0 = descent * fontSize;
+  const y1 = ascent * fontSize;
+
+  const point = (x, y) => [e + ux * x + vx * y, f + uy * x + vy * y];
+
+  return {
+    bl: point(x0, y0),
+    br: point(x1, y0),
+    tr: point(x1, y1),
+    tl: point(x0, y1)
+  };
+}
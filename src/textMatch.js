@@ -0,0 +1,224 @@
+// src/textMatch.js
+//
+// Phrase matching over pdf.js text content.
+
+// ----------------------------
+// Join text items into one string
+// ----------------------------
+// pdf.js emits explicit " " items between words of a run, and marks the
+// last item of a line with `hasEOL`. We follow the same convention as its
+// find controller: concatenate the strings and add a separator after EOL.
+export function buildPageText(items) {
+  const parts = [];
+  const itemStarts = [];
+  const owners = [];
+  let length = 0;
+
+  items.forEach((it, itemIndex) => {
+    const str = it.str || "";
+
+    itemStarts.push(length);
+    parts.push(str);
+    for (let k = 0; k < str.length; k++) owners.push(itemIndex);
+    length += str.length;
+
+    if (it.hasEOL) {
+      parts.push(" ");
+      owners.push(-1);
+      length += 1;
+    }
+  });
+
+  const text = parts.join("");
+  return { text, itemStarts, owners, normalized: normalizeText(text) };
+}
+
+// ----------------------------
+// Normalize text for matching
+// ----------------------------
+// Folds the differences between how a report was typeset and how people
+// (or models) quote it: ligatures and other compatibility forms (NFKC),
+// curly quotes, the dash family, soft hyphens and zero-width characters,
+// and every kind of whitespace. Whitespace runs collapse to one space and
+// spaces next to a dash are dropped, so "performance—\nincluding" and
+// "performance - including" compare equal. Case is folded last.
+//
+// `map[k]` is the index in `str` of the character that produced
+// normalized character k, so matches can be mapped back to the original.
+const DROP = /[\u00ad\u200b-\u200d\u2060\ufeff]/;
+const SPACE = /\s/;
+const SINGLE_QUOTES = /[\u2018\u2019\u201a\u201b\u2032\u0060\u00b4]/;
+const DOUBLE_QUOTES = /[\u201c\u201d\u201e\u201f\u2033\u00ab\u00bb]/;
+const DASHES = /[\u2010-\u2015\u2212\ufe58\ufe63\uff0d]/;
+
+export function normalizeText(str) {
+  const out = [];
+  const map = [];
+
+  const push = (ch, index) => {
+    if (ch === " ") {
+      const prev = out[out.length - 1];
+      if (!out.length || prev === " " || prev === "-") return;
+    } else if (ch === "-" && out[out.length - 1] === " ") {
+      out.pop();
+      map.pop();
+    }
+    out.push(ch);
+    map.push(index);
+  };
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+
+    if (DROP.test(ch)) continue;
+    if (SPACE.test(ch)) push(" ", i);
+    else if (SINGLE_QUOTES.test(ch)) push("'", i);
+    else if (DOUBLE_QUOTES.test(ch)) push('"', i);
+    else if (DASHES.test(ch)) push("-", i);
+    else {
+      for (const c of ch.normalize("NFKC").toLowerCase()) push(c, i);
+    }
+  }
+
+  if (out[out.length - 1] === " ") {
+    out.pop();
+    map.pop();
+  }
+
+  return { text: out.join(""), map };
+}
+
+// ----------------------------
+// Find every occurrence of a phrase in joined page text
+// ----------------------------
+// Both sides go through normalizeText(); the returned offsets point back
+// into the un-normalized `pageText.text`.
+export function findPhraseMatches(pageText, phrase) {
+  const target = normalizeText(String(phrase || "")).text;
+  if (!target) return [];
+
+  const { text, map } = pageText.normalized;
+  const matches = [];
+  let idx = text.indexOf(target);
+
+  while (idx !== -1) {
+    matches.push({ start: map[idx], end: map[idx + target.length - 1] + 1 });
+    idx = text.indexOf(target, idx + target.length);
+  }
+
+  return matches;
+}
+
+// ----------------------------
+// Map a [start, end) range of page text back to its items
+// ----------------------------
+// Returns one entry per touched item with offsets inside `item.str`.
+export function itemSpansForRange(pageText, start, end) {
+  const { owners, itemStarts } = pageText;
+  const spans = [];
+
+  for (let k = start; k < end; k++) {
+    const itemIndex = owners[k];
+    if (itemIndex === -1) continue;
+
+    const offset = k - itemStarts[itemIndex];
+    const last = spans[spans.length - 1];
+
+    if (last && last.itemIndex === itemIndex) {
+      last.end = offset + 1;
+    } else {
+      spans.push({ itemIndex, start: offset, end: offset + 1 });
+    }
+  }
+
+  return spans;
+}
+
+// ----------------------------
+// Fuzzy fallback: best approximate window on a page
+// ----------------------------
+// Approximate substring search (Sellers' variant of edit distance: the
+// match may start anywhere in the text at no cost). The window with the
+// fewest edits wins and is widened to whole words. `score` is
+// 1 - edits / phrase length, so 1 means exact and 0 means unrelated.
+//
+// Returns { start, end, score } with offsets into `pageText.text`, or null
+// when nothing reaches `minScore`.
+export function findFuzzyMatch(pageText, phrase, { minScore = 0.75 } = {}) {
+  const target = normalizeText(String(phrase || "")).text;
+  const { text, map } = pageText.normalized;
+  const m = target.length;
+  const n = text.length;
+  if (!m || !n) return null;
+
+  // Cheap pre-check so pages with nothing in common are skipped
+  const words = target.split(" ").filter((w) => w.length > 2);
+  const shared = words.filter((w) => text.includes(w)).length;
+  if (words.length && shared < words.length / 2) return null;
+
+  // prev/cur hold edit distances for one phrase row; starts track where
+  // the best alignment ending at each text position began.
+  let prev = new Array(n + 1).fill(0);
+  let prevStart = Array.from({ length: n + 1 }, (_, j) => j);
+  let cur = new Array(n + 1);
+  let curStart = new Array(n + 1);
+
+  for (let i = 1; i <= m; i++) {
+    cur[0] = i;
+    curStart[0] = 0;
+
+    for (let j = 1; j <= n; j++) {
+      const sub = prev[j - 1] + (target[i - 1] === text[j - 1] ? 0 : 1);
+      const del = prev[j] + 1;
+      const ins = cur[j - 1] + 1;
+
+      if (sub <= del && sub <= ins) {
+        cur[j] = sub;
+        curStart[j] = prevStart[j - 1];
+      } else if (del <= ins) {
+        cur[j] = del;
+        curStart[j] = prevStart[j];
+      } else {
+        cur[j] = ins;
+        curStart[j] = curStart[j - 1];
+      }
+    }
+
+    [prev, cur] = [cur, prev];
+    [prevStart, curStart] = [curStart, prevStart];
+  }
+
+  let bestEnd = 1;
+  for (let j = 2; j <= n; j++) if (prev[j] < prev[bestEnd]) bestEnd = j;
+
+  const score = 1 - prev[bestEnd] / m;
+  if (score < minScore) return null;
+
+  let start = prevStart[bestEnd];
+  let end = bestEnd;
+  // Widen to whole words; normalizeText joins words around dashes with a
+  // bare "-", so that ends a word as well as a space does
+  const isBreak = (ch) => ch === " " || ch === "-";
+  while (start > 0 && !isBreak(text[start - 1])) start--;
+  while (end < n && !isBreak(text[end])) end++;
+  while (start < end && isBreak(text[start])) start++;
+  while (end > start && isBreak(text[end - 1])) end--;
+  if (/[.,;:]/.test(text[end - 1]) && !/[.,;:]$/.test(target)) end--;
+  if (end <= start) return null;
+
+  return { start: map[start], end: map[end - 1] + 1, score };
+}
+
+// ----------------------------
+// Split a quoted passage at its elisions
+// ----------------------------
+// "A … B ... C" -> ["A", "B", "C"]. Surrounding quote marks are dropped,
+// as are fragments with no letters or digits in them.
+export function splitQuote(quote) {
+  return String(quote || "")
+    .trim()
+    .replace(/^["'‘’“”]+|["'‘’“”]+$/g, "")
+    .split(/\s*(?:…|\.{3})\s*/)
+    .map((s) => s.trim())
+    .filter((s) => /[\p{L}\p{N}]/u.test(s));
+}